@@ -2,7 +2,12 @@ module.exports = {
   apps: [{
     name: 'marathon-backend',
     script: './server.js',
-    instances: 2,
+    // The server runs as ONE process: the generation scheduler (queue, admission limits,
+    // in-flight and start rate limits) lives in memory, so a second instance would double
+    // every limit and could not see the other's queue. Do not raise this. Generation is
+    // bound by the image provider, not by this CPU. Cluster mode stays so `pm2 reload`
+    // starts the new process before it stops the old one.
+    instances: 1,
     exec_mode: 'cluster',
     env: {
       PORT: 3001,
@@ -0,0 +1,21 @@
+import { hashPassword, newStaticToken } from './lib/auth.js';
+
+// Entries for config/auth.json:
+//   echo -n 'password' | npm run auth:hash     -> passwordHash for a user
+//   npm run auth:hash -- --token               -> a new static token and its tokenHash
+if (process.argv.includes('--token')) {
+  const { token, tokenHash } = newStaticToken();
+  console.log(`token:     ${token}`);
+  console.log(`tokenHash: ${tokenHash}`);
+} else {
+  let password = '';
+  process.stdin.setEncoding('utf8');
+  for await (const chunk of process.stdin) password += chunk;
+  password = password.replace(/\r?\n$/, '');
+
+  if (!password) {
+    console.error('Pass the password on stdin');
+    process.exit(1);
+  }
+  console.log(hashPassword(password));
+}
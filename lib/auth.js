@@ -0,0 +1,162 @@
+import crypto from "node:crypto";
+import * as fs from "node:fs/promises";
+
+// Ranked lowest to highest: a role can do everything the roles before it can. Kiosks
+// authenticate with their X-Kiosk-Id/X-Kiosk-Token (lib/kiosks.js); people and services
+// with a login or a static token get operator or admin.
+export const ROLES = ['kiosk', 'operator', 'admin'];
+const ACCOUNT_ROLES = ['operator', 'admin'];
+
+const DEFAULT_SESSION_HOURS = 12;
+const SCRYPT_KEY_LENGTH = 32;
+
+export class AuthConfigValidationError extends Error {
+  constructor(errors) {
+    super(`Invalid auth config: ${errors.join('; ')}`);
+    this.name = 'AuthConfigValidationError';
+    this.errors = errors;
+  }
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(a);
+  const right = Buffer.from(b);
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+// "scrypt:<salt>:<key>" (base64url), as stored in config/auth.json
+export function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const key = crypto.scryptSync(password, salt, SCRYPT_KEY_LENGTH);
+  return `scrypt:${salt.toString('base64url')}:${key.toString('base64url')}`;
+}
+
+export function verifyPassword(password, stored) {
+  const [scheme, salt, key] = String(stored).split(':');
+  if (scheme !== 'scrypt' || !salt || !key) return false;
+  const expected = Buffer.from(key, 'base64url');
+  const actual = crypto.scryptSync(password, Buffer.from(salt, 'base64url'), expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+// A random static token and the hash to put in config/auth.json
+export function newStaticToken() {
+  const token = crypto.randomBytes(24).toString('base64url');
+  return { token, tokenHash: hashToken(token) };
+}
+
+export function hasRole(principal, role) {
+  return Boolean(principal) && ROLES.indexOf(principal.role) >= ROLES.indexOf(role);
+}
+
+export function validateAuthConfig(data) {
+  const errors = [];
+  const names = new Set();
+  for (const [index, user] of (data?.users || []).entries()) {
+    const label = `users[${index}]`;
+    if (typeof user?.username !== 'string' || !user.username) errors.push(`${label}.username is required`);
+    else if (names.has(user.username)) errors.push(`${label}: username "${user.username}" is used twice`);
+    names.add(user?.username);
+    if (!ACCOUNT_ROLES.includes(user?.role)) errors.push(`${label}.role must be one of: ${ACCOUNT_ROLES.join(', ')}`);
+    if (!/^scrypt:[\w-]+:[\w-]+$/.test(user?.passwordHash)) errors.push(`${label}.passwordHash must be a hash from hash-password.js`);
+  }
+  for (const [index, token] of (data?.tokens || []).entries()) {
+    const label = `tokens[${index}]`;
+    if (typeof token?.name !== 'string' || !token.name) errors.push(`${label}.name is required`);
+    if (!ACCOUNT_ROLES.includes(token?.role)) errors.push(`${label}.role must be one of: ${ACCOUNT_ROLES.join(', ')}`);
+    if (!/^[0-9a-f]{64}$/.test(token?.tokenHash)) errors.push(`${label}.tokenHash must be a SHA-256 hex digest`);
+  }
+  if (data?.sessionHours !== undefined && !(typeof data.sessionHours === 'number' && data.sessionHours > 0)) {
+    errors.push('sessionHours must be a positive number');
+  }
+  if (errors.length) throw new AuthConfigValidationError(errors);
+  return data;
+}
+
+// Operator and admin accounts (config/auth.json): users log in with a password and get a
+// signed session token; services use a static token. Both are sent as
+// "Authorization: Bearer <token>". ADMIN_TOKEN, if set, is a static admin token as well.
+// Session tokens are signed with `secret` (AUTH_SECRET, kept the same so tokens survive
+// restarts); without it logging in is disabled. Roles are looked up on every request, so
+// editing a user's role or password applies to tokens already handed out.
+export function createAuth(filePath, { secret, adminToken } = {}) {
+  let config = { users: [], tokens: [] };
+  // Compared against when the username is unknown, so both cases take as long
+  const dummyHash = hashPassword(crypto.randomBytes(16).toString('hex'));
+
+  function sign(payload) {
+    return crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+  }
+
+  // Changes when the password does, which ends the user's sessions
+  function passwordStamp(user) {
+    return hashToken(user.passwordHash).slice(0, 16);
+  }
+
+  function verifySession(token) {
+    const [payload, signature] = token.split('.');
+    if (!secret || !payload || !signature || !safeEqual(signature, sign(payload))) return undefined;
+
+    let claims;
+    try {
+      claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    } catch {
+      return undefined;
+    }
+    const user = config.users.find(candidate => candidate.username === claims.sub);
+    if (!user || claims.exp < Date.now() || claims.pwd !== passwordStamp(user)) return undefined;
+    return { type: 'user', name: user.username, role: user.role };
+  }
+
+  return {
+    async load() {
+      let raw;
+      try {
+        raw = await fs.readFile(filePath, 'utf8');
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+        raw = '{}';
+      }
+      const data = validateAuthConfig(JSON.parse(raw));
+      config = { users: data.users || [], tokens: data.tokens || [], sessionHours: data.sessionHours ?? DEFAULT_SESSION_HOURS };
+      return config;
+    },
+
+    get loginEnabled() {
+      return Boolean(secret);
+    },
+
+    // { token, principal, expiresAt } for a valid username and password, else undefined
+    login(username, password) {
+      if (!secret || typeof username !== 'string' || typeof password !== 'string') return undefined;
+
+      const user = config.users.find(candidate => candidate.username === username);
+      const valid = verifyPassword(password, user?.passwordHash ?? dummyHash);
+      if (!user || !valid) return undefined;
+
+      const expiresAt = Date.now() + config.sessionHours * 60 * 60 * 1000;
+      const payload = Buffer.from(JSON.stringify({ sub: user.username, pwd: passwordStamp(user), exp: expiresAt })).toString('base64url');
+      return {
+        token: `${payload}.${sign(payload)}`,
+        principal: { type: 'user', name: user.username, role: user.role },
+        expiresAt: new Date(expiresAt)
+      };
+    },
+
+    // The principal ({ type, name, role }) for a bearer token, or undefined
+    verify(token) {
+      if (!token) return undefined;
+      if (adminToken && safeEqual(token, adminToken)) return { type: 'token', name: 'ADMIN_TOKEN', role: 'admin' };
+
+      const hash = hashToken(token);
+      const staticToken = config.tokens.find(candidate => safeEqual(candidate.tokenHash, hash));
+      if (staticToken) return { type: 'token', name: staticToken.name, role: staticToken.role };
+
+      return verifySession(token);
+    }
+  };
+}
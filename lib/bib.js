@@ -0,0 +1,53 @@
+import path from "node:path";
+import sharp from "sharp";
+import { escapeXml } from "./compositor.js";
+
+export const BIB_MODES = ['off', 'badge', 'reference'];
+
+const BIB_NUMBER_PATTERN = /^\d{1,6}$/;
+const RUNNER_NAME_PATTERN = /^[\p{L}\p{M}' .-]{1,20}$/u;
+
+// Bib fields from a kiosk request. Returns { bib } (null when none was asked for) or { error }.
+export function parseBibRequest({ bibNumber, runnerName }) {
+  const number = typeof bibNumber === 'string' ? bibNumber.trim() : '';
+  const name = typeof runnerName === 'string' ? runnerName.trim().replace(/\s+/g, ' ') : '';
+
+  if (!number && !name) return { bib: null };
+  if (number && !BIB_NUMBER_PATTERN.test(number)) return { error: 'Bib number must be 1-6 digits' };
+  if (name && !RUNNER_NAME_PATTERN.test(name)) return { error: 'Runner name must be up to 20 letters' };
+
+  return { bib: { number: number || null, name: name || null } };
+}
+
+// Bib handling for a background: its catalog bibMode wins over the event default
+export function resolveBibMode(backgroundInfo, bibConfig) {
+  return backgroundInfo.bibMode || bibConfig?.mode || 'off';
+}
+
+// Draw a personalised bib: the template's printed number/name areas are painted over
+// ("clear") and the runner's details are written in as SVG text ("fields").
+export async function renderBib({ number, name }, bibConfig, baseDir) {
+  const templatePath = path.resolve(baseDir, bibConfig.template);
+  const { width, height } = await sharp(templatePath).metadata();
+  const values = { number, name };
+
+  const rects = (bibConfig.clear || []).map(area =>
+    `<rect x="${area.x}" y="${area.y}" width="${area.width}" height="${area.height}" fill="${escapeXml(area.fill)}"/>`
+  );
+  const texts = Object.entries(bibConfig.fields || {})
+    .map(([field, style]) => [style.text ?? values[field], style])
+    .filter(([text]) => text)
+    .map(([text, style]) => `<text x="${style.x}" y="${style.y}" text-anchor="middle" dominant-baseline="central"
+      font-family="${escapeXml(style.fontFamily || 'sans-serif')}" font-weight="${escapeXml(style.fontWeight || 'bold')}"
+      font-size="${style.fontSize}" fill="${escapeXml(style.color || '#333333')}">${escapeXml(text)}</text>`);
+
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">
+    ${rects.join('\n')}
+    ${texts.join('\n')}
+  </svg>`;
+
+  return sharp(templatePath)
+    .composite([{ input: Buffer.from(svg), top: 0, left: 0 }])
+    .png()
+    .toBuffer();
+}
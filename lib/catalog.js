@@ -0,0 +1,222 @@
+import * as fs from "node:fs/promises";
+import { watch } from "node:fs";
+import path from "node:path";
+import { logger } from "./logger.js";
+
+export const PROMINENCE_LEVELS = ['low', 'medium', 'high'];
+
+// Per-background prominence policy: { default, min, max, force }, all optional
+function validateProminencePolicy(label, policy) {
+  if (typeof policy !== 'object' || Array.isArray(policy)) return [`${label} must be an object`];
+
+  const errors = [];
+  for (const [field, value] of Object.entries(policy)) {
+    if (!['default', 'min', 'max', 'force'].includes(field)) {
+      errors.push(`${label}.${field} is not a known field`);
+    } else if (!PROMINENCE_LEVELS.includes(value)) {
+      errors.push(`${label}.${field} must be one of: ${PROMINENCE_LEVELS.join(', ')}`);
+    }
+  }
+  if (!errors.length && policy.min && policy.max &&
+      PROMINENCE_LEVELS.indexOf(policy.min) > PROMINENCE_LEVELS.indexOf(policy.max)) {
+    errors.push(`${label}.min must not be above ${label}.max`);
+  }
+  return errors;
+}
+
+// Field rules for a background entry. Everything not listed here is rejected so
+// typos ("lightning") surface as errors instead of silently doing nothing.
+const BACKGROUND_SCHEMA = {
+  name: { type: 'string', required: true },
+  file: { type: 'string' }, // required once the background is enabled
+  category: { type: 'string', required: true },
+  sortOrder: { type: 'number' },
+  enabled: { type: 'boolean' },
+  description: { type: 'string', required: true },
+  lighting: { type: 'string' },
+  colorTreatment: { type: 'string' },
+  composition: { type: 'string' },
+  timePeriod: { type: 'string', required: true, oneOf: ['past', 'present', 'future'] },
+  era: { type: 'string' },
+  pose: { type: 'string', oneOf: ['running', 'walking'] },
+  artisticStyle: { type: 'string', oneOf: ['oil-painting'] },
+  prominence: { type: 'object', validate: validateProminencePolicy },
+  template: { type: 'string' }, // compositing template id, see config/templates.json
+  bibMode: { type: 'string', oneOf: ['off', 'badge', 'reference'] } // overrides the event's bib.mode
+};
+
+const CATEGORY_SCHEMA = {
+  title: { type: 'string', required: true },
+  sortOrder: { type: 'number' },
+  enabled: { type: 'boolean' }
+};
+
+const ID_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+
+export class CatalogValidationError extends Error {
+  constructor(errors) {
+    super(`Invalid background catalog: ${errors.join('; ')}`);
+    this.name = 'CatalogValidationError';
+    this.errors = errors;
+  }
+}
+
+function validateFields(label, entry, schema) {
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+    return [`${label} must be an object`];
+  }
+
+  const errors = [];
+  for (const [field, rule] of Object.entries(schema)) {
+    const value = entry[field];
+    if (value === undefined || value === null) {
+      if (rule.required) errors.push(`${label}.${field} is required`);
+      continue;
+    }
+    if (typeof value !== rule.type) {
+      errors.push(`${label}.${field} must be a ${rule.type}`);
+    } else if (rule.oneOf && !rule.oneOf.includes(value)) {
+      errors.push(`${label}.${field} must be one of: ${rule.oneOf.join(', ')}`);
+    } else if (rule.validate) {
+      errors.push(...rule.validate(`${label}.${field}`, value));
+    }
+  }
+  for (const field of Object.keys(entry)) {
+    if (!schema[field]) errors.push(`${label}.${field} is not a known field`);
+  }
+  return errors;
+}
+
+export function validateCatalog(data) {
+  if (!data || typeof data !== 'object') throw new CatalogValidationError(['catalog must be an object']);
+
+  const categories = data.categories || {};
+  const backgrounds = data.backgrounds || {};
+  const errors = [];
+
+  for (const [id, category] of Object.entries(categories)) {
+    if (!ID_PATTERN.test(id)) errors.push(`category id "${id}" must be lowercase letters, digits and dashes`);
+    errors.push(...validateFields(`categories.${id}`, category, CATEGORY_SCHEMA));
+  }
+
+  for (const [id, background] of Object.entries(backgrounds)) {
+    if (!ID_PATTERN.test(id)) errors.push(`background id "${id}" must be lowercase letters, digits and dashes`);
+    const fieldErrors = validateFields(`backgrounds.${id}`, background, BACKGROUND_SCHEMA);
+    errors.push(...fieldErrors);
+    if (fieldErrors.length) continue;
+
+    if (!categories[background.category]) {
+      errors.push(`backgrounds.${id}.category "${background.category}" does not exist`);
+    }
+    if (background.enabled !== false && !background.file) {
+      errors.push(`backgrounds.${id}.file is required for an enabled background`);
+    }
+  }
+
+  if (errors.length) throw new CatalogValidationError(errors);
+  return { categories, backgrounds };
+}
+
+// Entries without a sortOrder come last; ties go by id so the order is stable
+function bySortOrder([idA, a], [idB, b]) {
+  return (a.sortOrder ?? Number.MAX_SAFE_INTEGER) - (b.sortOrder ?? Number.MAX_SAFE_INTEGER) || idA.localeCompare(idB);
+}
+
+// Background catalog backed by a JSON file. The file is watched, so edits made by
+// hand or by another process are picked up without a restart. An invalid file is
+// logged and the last good catalog stays in use.
+export function createCatalog(filePath) {
+  let current = { categories: {}, backgrounds: {} };
+  let reloadTimer = null;
+
+  async function load() {
+    const raw = await fs.readFile(filePath, 'utf8');
+    current = validateCatalog(JSON.parse(raw));
+    return current;
+  }
+
+  async function save(next) {
+    const validated = validateCatalog(next);
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+    await fs.writeFile(tmpPath, JSON.stringify(validated, null, 2) + '\n');
+    await fs.rename(tmpPath, filePath);
+    current = validated;
+    return current;
+  }
+
+  function clone() {
+    return structuredClone(current);
+  }
+
+  return {
+    load,
+
+    watch() {
+      // Watch the directory: editors and save() replace the file rather than write in place
+      watch(path.dirname(filePath), (eventType, changed) => {
+        if (changed !== path.basename(filePath)) return;
+        clearTimeout(reloadTimer);
+        reloadTimer = setTimeout(async () => {
+          try {
+            await load();
+            logger.info('Background catalog reloaded', { backgrounds: Object.keys(current.backgrounds).length });
+          } catch (error) {
+            logger.error('Background catalog reload failed, keeping previous version', { error });
+          }
+        }, 200);
+      }).unref();
+    },
+
+    toJSON() {
+      return clone();
+    },
+
+    // Enabled background by id, or undefined
+    getBackground(id) {
+      const background = current.backgrounds[id];
+      if (!background || background.enabled === false) return undefined;
+      if (current.categories[background.category]?.enabled === false) return undefined;
+      return background;
+    },
+
+    // Enabled categories with their enabled backgrounds, both in sort order
+    listCategories() {
+      return Object.entries(current.categories)
+        .filter(([, category]) => category.enabled !== false)
+        .sort(bySortOrder)
+        .map(([id, category]) => ({
+          id,
+          ...category,
+          backgrounds: Object.entries(current.backgrounds)
+            .filter(([, background]) => background.category === id && background.enabled !== false)
+            .sort(bySortOrder)
+            .map(([backgroundId, background]) => ({ id: backgroundId, ...background }))
+        }));
+    },
+
+    async createBackground(id, entry) {
+      if (current.backgrounds[id]) throw new CatalogValidationError([`background "${id}" already exists`]);
+      const next = clone();
+      next.backgrounds[id] = entry;
+      return (await save(next)).backgrounds[id];
+    },
+
+    async updateBackground(id, changes) {
+      if (!current.backgrounds[id]) return undefined;
+      const next = clone();
+      const updated = { ...next.backgrounds[id], ...changes };
+      // null clears an optional field
+      for (const [field, value] of Object.entries(updated)) {
+        if (value === null) delete updated[field];
+      }
+      next.backgrounds[id] = updated;
+      return (await save(next)).backgrounds[id];
+    },
+
+    async upsertCategory(id, changes) {
+      const next = clone();
+      next.categories[id] = { ...next.categories[id], ...changes };
+      return (await save(next)).categories[id];
+    }
+  };
+}
@@ -0,0 +1,202 @@
+import * as fs from "node:fs/promises";
+import path from "node:path";
+import sharp from "sharp";
+import { logger } from "./logger.js";
+
+const ANCHORS = ['top-left', 'top', 'top-right', 'left', 'center', 'right', 'bottom-left', 'bottom', 'bottom-right'];
+const SCALE_MODES = ['cover', 'contain', 'width', 'height', 'none'];
+
+export class TemplateValidationError extends Error {
+  constructor(errors) {
+    super(`Invalid compositing templates: ${errors.join('; ')}`);
+    this.name = 'TemplateValidationError';
+    this.errors = errors;
+  }
+}
+
+function validateLayer(label, layer) {
+  const errors = [];
+  if (!['image', 'text'].includes(layer.type)) errors.push(`${label}.type must be image or text`);
+  if (layer.type === 'image' && typeof layer.file !== 'string') errors.push(`${label}.file is required`);
+  if (layer.type === 'text' && typeof layer.text !== 'string') errors.push(`${label}.text is required`);
+  if (layer.anchor !== undefined && !ANCHORS.includes(layer.anchor)) {
+    errors.push(`${label}.anchor must be one of: ${ANCHORS.join(', ')}`);
+  }
+  if (layer.scale !== undefined && !SCALE_MODES.includes(layer.scale)) {
+    errors.push(`${label}.scale must be one of: ${SCALE_MODES.join(', ')}`);
+  }
+  for (const field of ['size', 'margin', 'opacity', 'fontSize']) {
+    const value = layer[field];
+    if (value !== undefined && (typeof value !== 'number' || value < 0 || value > 1)) {
+      errors.push(`${label}.${field} must be a number between 0 and 1`);
+    }
+  }
+  return errors;
+}
+
+export function validateTemplates(data) {
+  const errors = [];
+  for (const [id, template] of Object.entries(data || {})) {
+    if (!Array.isArray(template?.layers)) {
+      errors.push(`${id}.layers must be a list`);
+      continue;
+    }
+    template.layers.forEach((layer, index) => errors.push(...validateLayer(`${id}.layers[${index}]`, layer)));
+  }
+  if (errors.length) throw new TemplateValidationError(errors);
+  return data;
+}
+
+// Top-left corner for a box of the given size inside the canvas
+function place(anchor, canvas, box, margin) {
+  const [vertical, horizontal] = anchor === 'center' ? ['center', 'center']
+    : anchor.includes('-') ? anchor.split('-')
+    : ['top', 'bottom'].includes(anchor) ? [anchor, 'center']
+    : ['center', anchor];
+
+  const left = horizontal === 'left' ? margin
+    : horizontal === 'right' ? canvas.width - box.width - margin
+    : (canvas.width - box.width) / 2;
+  const top = vertical === 'top' ? margin
+    : vertical === 'bottom' ? canvas.height - box.height - margin
+    : (canvas.height - box.height) / 2;
+
+  return { left: Math.round(left), top: Math.round(top) };
+}
+
+// 'top-left' -> 'left top', the form sharp's resize position expects
+function sharpPosition(anchor) {
+  const [vertical, horizontal] = anchor.split('-');
+  return horizontal ? `${horizontal} ${vertical}` : anchor;
+}
+
+export function escapeXml(value) {
+  return String(value).replace(/[<>&"']/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&apos;' })[c]);
+}
+
+function fillPlaceholders(text, context) {
+  return text.replace(/\{(\w+)\}/g, (match, key) => context[key] ?? '');
+}
+
+// PNG buffer of the image with its alpha channel scaled by opacity
+async function withOpacity(image, opacity) {
+  if (opacity === undefined || opacity === 1) return image.png().toBuffer();
+
+  const rgba = await image.ensureAlpha().png().toBuffer();
+  return sharp(rgba).linear([1, 1, 1, opacity], [0, 0, 0, 0]).png().toBuffer();
+}
+
+// Image layer, resized according to its scale mode. Aspect ratio is always kept:
+// cover crops the asset to the canvas (or its share of it), the others fit inside.
+async function renderImageLayer(layer, canvas, baseDir) {
+  const anchor = layer.anchor || 'center';
+  const margin = Math.round((layer.margin || 0) * Math.min(canvas.width, canvas.height));
+  const size = layer.size ?? 1;
+  const boxWidth = Math.max(1, Math.round(canvas.width * size - (layer.scale === 'cover' ? 0 : margin * 2)));
+  const boxHeight = Math.max(1, Math.round(canvas.height * size - (layer.scale === 'cover' ? 0 : margin * 2)));
+
+  let image = sharp(layer.input || path.resolve(baseDir, layer.file));
+  switch (layer.scale || 'contain') {
+    case 'cover':
+      image = image.resize(boxWidth, boxHeight, { fit: 'cover', position: sharpPosition(anchor) });
+      break;
+    case 'contain':
+      image = image.resize(boxWidth, boxHeight, { fit: 'inside' });
+      break;
+    case 'width':
+      image = image.resize({ width: boxWidth });
+      break;
+    case 'height':
+      image = image.resize({ height: boxHeight });
+      break;
+  }
+
+  const input = await withOpacity(image, layer.opacity);
+  const { width, height } = await sharp(input).metadata();
+  const fitted = { width: Math.min(width, canvas.width), height: Math.min(height, canvas.height) };
+  const cropped = fitted.width === width && fitted.height === height
+    ? input
+    : await sharp(input).extract({ left: 0, top: 0, ...fitted }).toBuffer();
+
+  return { input: cropped, ...place(anchor, canvas, fitted, layer.scale === 'cover' ? 0 : margin) };
+}
+
+// Text layer drawn as SVG; fontSize is a fraction of the canvas height
+async function renderTextLayer(layer, canvas, context) {
+  const text = fillPlaceholders(layer.text, context).trim();
+  if (!text) return null;
+
+  const fontSize = Math.round((layer.fontSize || 0.04) * canvas.height);
+  const padding = layer.background ? Math.round(fontSize * 0.4) : 0;
+  // Rough width estimate; librsvg measures the real glyphs when rendering
+  const box = {
+    width: Math.min(canvas.width, Math.round(text.length * fontSize * 0.6) + padding * 2),
+    height: Math.round(fontSize * 1.3) + padding * 2
+  };
+  const margin = Math.round((layer.margin || 0) * Math.min(canvas.width, canvas.height));
+
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${box.width}" height="${box.height}">
+    ${layer.background ? `<rect width="100%" height="100%" rx="${padding}" fill="${escapeXml(layer.background)}"/>` : ''}
+    <text x="50%" y="50%" dominant-baseline="central" text-anchor="middle"
+      font-family="${escapeXml(layer.fontFamily || 'sans-serif')}" font-weight="${escapeXml(layer.fontWeight || 'bold')}"
+      font-size="${fontSize}" fill="${escapeXml(layer.color || '#ffffff')}">${escapeXml(text)}</text>
+  </svg>`;
+
+  const input = await withOpacity(sharp(Buffer.from(svg)), layer.opacity);
+  return { input, ...place(layer.anchor || 'bottom', canvas, box, margin) };
+}
+
+// Compositing templates (config/templates.json): an ordered list of layers drawn
+// over the generated image, bottom to top. Image files and texts may use {placeholders}
+// from the render context, so one template serves every event.
+export function createCompositor(filePath, baseDir) {
+  let templates = {};
+
+  return {
+    async load() {
+      templates = validateTemplates(JSON.parse(await fs.readFile(filePath, 'utf8')));
+      return templates;
+    },
+
+    list() {
+      return structuredClone(templates);
+    },
+
+    has(id) {
+      return Boolean(templates[id]);
+    },
+
+    // extraLayers are drawn on top of the template; image layers there may carry an
+    // in-memory `input` buffer instead of a file. log: the caller's (session) logger.
+    async render(imageBuffer, templateId, context = {}, extraLayers = [], { log = logger } = {}) {
+      const template = templates[templateId];
+      if (!template) throw new Error(`Unknown compositing template "${templateId}"`);
+
+      const { width, height } = await sharp(imageBuffer).metadata();
+      const canvas = { width, height };
+      const composites = [];
+
+      for (const layer of [...template.layers, ...extraLayers]) {
+        if (layer.type === 'image' && layer.input) {
+          composites.push({ ...(await renderImageLayer(layer, canvas, baseDir)), blend: 'over' });
+        } else if (layer.type === 'image') {
+          // "{overlay}" and the like name an asset of the event (see templateContext)
+          const file = fillPlaceholders(layer.file, context);
+          if (!file) continue;
+          try {
+            await fs.access(path.resolve(baseDir, file));
+          } catch {
+            log.warn('Template layer file not found, skipping layer', { template: templateId, file });
+            continue;
+          }
+          composites.push({ ...(await renderImageLayer({ ...layer, file }, canvas, baseDir)), blend: 'over' });
+        } else {
+          const rendered = await renderTextLayer(layer, canvas, context);
+          if (rendered) composites.push({ ...rendered, blend: 'over' });
+        }
+      }
+
+      return sharp(imageBuffer).composite(composites).png().toBuffer();
+    }
+  };
+}
@@ -0,0 +1,38 @@
+import * as fs from "node:fs/promises";
+
+export class CorsValidationError extends Error {
+  constructor(errors) {
+    super(`Invalid CORS config: ${errors.join('; ')}`);
+    this.name = 'CorsValidationError';
+    this.errors = errors;
+  }
+}
+
+// An origin is scheme://host[:port], exactly as browsers send it (no path, no trailing slash)
+function isOrigin(value) {
+  try {
+    return typeof value === 'string' && new URL(value).origin === value;
+  } catch {
+    return false;
+  }
+}
+
+export function validateCorsConfig(data) {
+  const errors = [];
+  if (!Array.isArray(data?.origins)) {
+    errors.push('origins must be a list of origins');
+  } else {
+    for (const origin of data.origins) {
+      if (!isOrigin(origin)) errors.push(`"${origin}" is not an origin like https://photobooth.example.com`);
+    }
+  }
+  if (errors.length) throw new CorsValidationError(errors);
+  return data;
+}
+
+// Browser origins allowed to call the API (config/cors.json). Matching is exact; requests
+// without an Origin header (kiosk apps, curl) are not affected.
+export async function loadCorsOrigins(filePath) {
+  const data = validateCorsConfig(JSON.parse(await fs.readFile(filePath, 'utf8')));
+  return new Set(data.origins);
+}
@@ -0,0 +1,128 @@
+import * as fs from "node:fs/promises";
+import path from "node:path";
+import { validateLines } from "./prompts.js";
+
+const ID_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+export class EventValidationError extends Error {
+  constructor(errors) {
+    super(`Invalid events: ${errors.join('; ')}`);
+    this.name = 'EventValidationError';
+    this.errors = errors;
+  }
+}
+
+function isStringList(value) {
+  return Array.isArray(value) && value.every(item => typeof item === 'string' && item);
+}
+
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+export function validateEvent(id, data) {
+  const errors = [];
+  if (!ID_PATTERN.test(id)) errors.push(`${id}: ids must be lowercase letters, digits and dashes`);
+  for (const field of ['name', 'city', 'catalog']) {
+    if (typeof data?.[field] !== 'string' || !data[field].trim()) errors.push(`${id}.${field} is required`);
+  }
+  if (!DATE_PATTERN.test(data?.dates?.start) || !DATE_PATTERN.test(data?.dates?.end)) {
+    errors.push(`${id}.dates needs start and end as YYYY-MM-DD`);
+  } else if (data.dates.start > data.dates.end) {
+    errors.push(`${id}.dates.start must not be after dates.end`);
+  }
+  if (data?.timeZone !== undefined && !isValidTimeZone(data.timeZone)) errors.push(`${id}.timeZone is not a known time zone`);
+  if (data?.default !== undefined && typeof data.default !== 'boolean') errors.push(`${id}.default must be true or false`);
+  for (const field of ['hostnames', 'kiosks']) {
+    if (data?.[field] !== undefined && !isStringList(data[field])) errors.push(`${id}.${field} must be a list of strings`);
+  }
+  if (!isStringList(data?.consentVersions) || !data.consentVersions.length) {
+    errors.push(`${id}.consentVersions must list the consent text versions kiosks may show`);
+  }
+  if (typeof data?.branding?.template !== 'string') errors.push(`${id}.branding.template is required`);
+  for (const field of ['overlay', 'logo']) {
+    if (data?.branding?.[field] !== undefined && typeof data.branding[field] !== 'string') {
+      errors.push(`${id}.branding.${field} must be a file path`);
+    }
+  }
+  if (data?.clothing !== undefined) errors.push(...validateLines(`${id}.clothing`, data.clothing));
+  for (const field of ['outputHours', 'inputMinutes']) {
+    const value = data?.retention?.[field];
+    if (value !== undefined && !(typeof value === 'number' && value > 0)) errors.push(`${id}.retention.${field} must be a positive number`);
+  }
+  return errors;
+}
+
+// Hostnames and kiosks can only point at one event, and one event is the default
+function validateAssignments(events) {
+  const errors = [];
+  for (const field of ['hostnames', 'kiosks']) {
+    const owners = new Map();
+    for (const [id, event] of Object.entries(events)) {
+      for (const value of event[field] || []) {
+        const key = field === 'hostnames' ? value.toLowerCase() : value;
+        if (owners.has(key)) errors.push(`${field} "${value}" is assigned to both ${owners.get(key)} and ${id}`);
+        owners.set(key, id);
+      }
+    }
+  }
+  const defaults = Object.keys(events).filter(id => events[id].default);
+  if (Object.keys(events).length > 1 && defaults.length !== 1) errors.push('exactly one event must be the default');
+  if (!Object.keys(events).length) errors.push('at least one event is required');
+  return errors;
+}
+
+// Events (config/events/<id>.json): one file per race with its name, city, dates, branding,
+// background catalog, clothing rules, consent versions, retention and kiosk assignments. A request belongs to
+// the event its kiosk is assigned to, else the event for the hostname, else the default.
+export function createEvents(directory) {
+  let events = {};
+
+  return {
+    async load() {
+      const next = {};
+      const errors = [];
+      for (const file of (await fs.readdir(directory)).filter(name => name.endsWith('.json')).sort()) {
+        const id = path.basename(file, '.json');
+        try {
+          const data = JSON.parse(await fs.readFile(path.join(directory, file), 'utf8'));
+          const eventErrors = validateEvent(id, data);
+          if (eventErrors.length) errors.push(...eventErrors);
+          else next[id] = { ...data, id };
+        } catch (error) {
+          errors.push(`${id}: ${error.message}`);
+        }
+      }
+      if (!errors.length) errors.push(...validateAssignments(next));
+      if (errors.length) throw new EventValidationError(errors);
+      events = next;
+      return events;
+    },
+
+    list() {
+      return Object.values(events);
+    },
+
+    get(id) {
+      return events[id];
+    },
+
+    defaultEvent() {
+      return Object.values(events).find(event => event.default) || Object.values(events)[0];
+    },
+
+    // The event for a kiosk and/or hostname
+    resolve({ kioskId, hostname } = {}) {
+      const host = hostname?.toLowerCase();
+      return (kioskId && Object.values(events).find(event => event.kiosks?.includes(kioskId)))
+        || (host && Object.values(events).find(event => event.hostnames?.some(name => name.toLowerCase() === host)))
+        || this.defaultEvent();
+    }
+  };
+}
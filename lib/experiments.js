@@ -0,0 +1,150 @@
+import * as fs from "node:fs/promises";
+import crypto from "node:crypto";
+import { validateLines } from "./prompts.js";
+
+const MATCH_FIELDS = ['gender', 'category', 'backgroundId', 'kioskId'];
+const GENERATION_SETTINGS = { temperature: [0, 2], topP: [0, 1], topK: [1, 100] };
+
+export class ExperimentValidationError extends Error {
+  constructor(errors) {
+    super(`Invalid experiments: ${errors.join('; ')}`);
+    this.name = 'ExperimentValidationError';
+    this.errors = errors;
+  }
+}
+
+function validateVariant(label, variant, { prompts, defaultProfile }) {
+  const errors = [];
+  if (typeof variant?.id !== 'string' || !variant.id) errors.push(`${label}.id is required`);
+  if (typeof variant?.weight !== 'number' || variant.weight <= 0) errors.push(`${label}.weight must be a positive number`);
+
+  if (variant?.promptProfile !== undefined && !prompts?.has(variant.promptProfile)) {
+    errors.push(`${label}.promptProfile "${variant.promptProfile}" not found in config/prompts`);
+  }
+  for (const [field, value] of Object.entries(variant?.generationConfig || {})) {
+    const range = GENERATION_SETTINGS[field];
+    if (!range) errors.push(`${label}.generationConfig.${field} is not a known setting`);
+    else if (typeof value !== 'number' || value < range[0] || value > range[1]) {
+      errors.push(`${label}.generationConfig.${field} must be a number between ${range[0]} and ${range[1]}`);
+    }
+  }
+  // Replacement lines for named prompt sections, e.g. { "placement": [...] }
+  const profile = prompts?.list().find(entry => entry.id === (variant?.promptProfile || defaultProfile));
+  for (const [section, lines] of Object.entries(variant?.sections || {})) {
+    if (profile && !profile.sections.includes(section)) {
+      errors.push(`${label}.sections.${section} is not a section of prompt profile "${profile.id}"`);
+    }
+    errors.push(...validateLines(`${label}.sections.${section}`, lines));
+  }
+  return errors;
+}
+
+export function validateExperiments(data, options = {}) {
+  const errors = [];
+  for (const [id, experiment] of Object.entries(data || {})) {
+    for (const field of Object.keys(experiment?.match || {})) {
+      if (!MATCH_FIELDS.includes(field)) errors.push(`${id}.match.${field} is not a known field (expected one of: ${MATCH_FIELDS.join(', ')})`);
+    }
+    if (!Array.isArray(experiment?.variants) || experiment.variants.length < 2) {
+      errors.push(`${id}.variants must list at least two variants`);
+      continue;
+    }
+    experiment.variants.forEach((variant, index) => errors.push(...validateVariant(`${id}.variants[${index}]`, variant, options)));
+
+    const ids = experiment.variants.map(variant => variant.id);
+    if (new Set(ids).size !== ids.length) errors.push(`${id}.variants ids must be unique`);
+  }
+  if (errors.length) throw new ExperimentValidationError(errors);
+  return data;
+}
+
+function matches(match = {}, subject) {
+  return Object.entries(match).every(([field, expected]) => [expected].flat().includes(subject[field]));
+}
+
+// Stable number in [0, 1) for an experiment and session
+function bucket(experimentId, sessionId) {
+  const hash = crypto.createHash('sha256').update(`${experimentId}:${sessionId}`).digest();
+  return hash.readUInt32BE(0) / 2 ** 32;
+}
+
+export function percentile(sorted, p) {
+  if (!sorted.length) return null;
+  return sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+}
+
+// Experiments (config/experiments.json) split generations between variants. A session
+// takes part in at most one experiment: the first enabled one whose match applies, so
+// two experiments never change the same generation.
+export function createExperiments(filePath, { prompts, defaultProfile } = {}) {
+  let experiments = {};
+
+  return {
+    async load() {
+      let raw;
+      try {
+        raw = await fs.readFile(filePath, 'utf8');
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+        raw = '{}';
+      }
+      experiments = validateExperiments(JSON.parse(raw), { prompts, defaultProfile });
+      return experiments;
+    },
+
+    list() {
+      return Object.entries(experiments).map(([id, experiment]) => ({ id, ...structuredClone(experiment) }));
+    },
+
+    get(id) {
+      return Object.hasOwn(experiments, id) ? { id, ...structuredClone(experiments[id]) } : undefined;
+    },
+
+    // Weighted, deterministic per session. subject: { gender, category, backgroundId, kioskId }.
+    // Returns { experimentId, ...variant } or null.
+    assign(sessionId, subject) {
+      for (const [id, experiment] of Object.entries(experiments)) {
+        if (!experiment.enabled || !matches(experiment.match, subject)) continue;
+
+        const total = experiment.variants.reduce((sum, variant) => sum + variant.weight, 0);
+        let point = bucket(id, sessionId) * total;
+        const variant = experiment.variants.find(candidate => (point -= candidate.weight) < 0)
+          || experiment.variants.at(-1);
+        return { experimentId: id, ...structuredClone(variant) };
+      }
+      return null;
+    }
+  };
+}
+
+// Per-variant outcome of an experiment from its sessions: success rate, processing time
+// of completed generations and staff ratings
+export function experimentReport(experiment, sessions) {
+  const variants = experiment.variants.map(({ id, weight }) => {
+    const own = sessions.filter(session => session.experiment?.variant === id);
+    const finished = own.filter(session => ['completed', 'failed'].includes(session.status));
+    const completed = own.filter(session => session.status === 'completed');
+    const durations = completed.map(session => session.endTime - session.startTime).sort((a, b) => a - b);
+    const ratings = own.map(session => session.feedback?.rating).filter(Number.isFinite);
+
+    return {
+      id,
+      weight,
+      sessions: own.length,
+      completed: completed.length,
+      failed: finished.length - completed.length,
+      successRate: finished.length ? completed.length / finished.length : null,
+      latencyMs: {
+        mean: durations.length ? Math.round(durations.reduce((sum, value) => sum + value, 0) / durations.length) : null,
+        p50: percentile(durations, 0.5),
+        p95: percentile(durations, 0.95)
+      },
+      rating: {
+        count: ratings.length,
+        mean: ratings.length ? Number((ratings.reduce((sum, value) => sum + value, 0) / ratings.length).toFixed(2)) : null
+      }
+    };
+  });
+
+  return { id: experiment.id, enabled: Boolean(experiment.enabled), description: experiment.description, variants };
+}
@@ -0,0 +1,77 @@
+import { GenerationError, classifyError, FAILURE_CLASSES } from "./providers/errors.js";
+
+export const FALLBACKS = ['alternate-prompt', 'lower-prominence'];
+
+// Retry policy for provider calls; every value can be overridden from the environment
+export const generationPolicy = {
+  timeoutMs: Number.parseInt(process.env.GENERATION_TIMEOUT_MS || '90000', 10),
+  maxAttempts: Number.parseInt(process.env.GENERATION_MAX_ATTEMPTS || '3', 10),
+  // Delay before the next attempt, doubling after every failure (and again for quota errors)
+  retryDelayMs: Number.parseInt(process.env.GENERATION_RETRY_DELAY_MS || '2000', 10),
+  // Switched on one by one, in this order, after a safety block or an empty response
+  fallbacks: (process.env.GENERATION_FALLBACKS ?? FALLBACKS.join(','))
+    .split(',')
+    .map(name => name.trim())
+    .filter(name => FALLBACKS.includes(name))
+};
+
+// Failures a different prompt or placement may get past
+const CONTENT_FAILURES = ['safety_blocked', 'empty_response'];
+
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Run one attempt against a deadline; the provider is handed a signal that aborts with it
+async function withTimeout(run, timeoutMs) {
+  const controller = new AbortController();
+  let timer;
+  const deadline = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      controller.abort();
+      reject(new GenerationError('timeout', `No response within ${timeoutMs} ms`));
+    }, timeoutMs);
+  });
+
+  try {
+    return await Promise.race([run(controller.signal), deadline]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Call attempt({ attempt, fallbacks, signal }) -> Buffer[] until it yields an image or the
+// policy gives up. onAttempt receives a record of every try. Resolves to
+// { image, fallbacks }; rejects with a GenerationError carrying the failure code.
+export async function generateWithPolicy(attempt, { policy = generationPolicy, onAttempt = () => {} } = {}) {
+  const fallbacks = [];
+  const pendingFallbacks = [...policy.fallbacks];
+
+  for (let number = 1; ; number++) {
+    const startedAt = Date.now();
+    const record = { attempt: number, fallbacks: [...fallbacks], startedAt };
+
+    try {
+      const [image] = await withTimeout(
+        signal => attempt({ attempt: number, fallbacks: [...fallbacks], signal }),
+        policy.timeoutMs
+      );
+      if (!image) throw new GenerationError('empty_response', 'No image in the response');
+
+      onAttempt({ ...record, durationMs: Date.now() - startedAt, outcome: 'success' });
+      return { image, fallbacks };
+    } catch (error) {
+      const code = classifyError(error);
+      onAttempt({ ...record, durationMs: Date.now() - startedAt, outcome: code, message: error.message });
+
+      const canFallBack = CONTENT_FAILURES.includes(code) && pendingFallbacks.length > 0;
+      if (number >= policy.maxAttempts || !(FAILURE_CLASSES[code].retryable || canFallBack)) {
+        if (error instanceof GenerationError) throw error;
+        throw new GenerationError(code, error.message);
+      }
+
+      if (canFallBack) fallbacks.push(pendingFallbacks.shift());
+      await delay(policy.retryDelayMs * 2 ** (number - 1) * (code === 'quota_exceeded' ? 2 : 1));
+    }
+  }
+}
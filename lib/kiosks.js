@@ -0,0 +1,125 @@
+import crypto from "node:crypto";
+
+// A kiosk's role is also its scheduling class (config/scheduler.json) unless settings name
+// another one; test kiosks (e.g. test-generations.js) skip the rate limit
+export const KIOSK_ROLES = ['kiosk', 'vip', 'staff', 'test'];
+
+const ID_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+
+export class KioskValidationError extends Error {
+  constructor(errors) {
+    super(`Invalid kiosk: ${errors.join('; ')}`);
+    this.name = 'KioskValidationError';
+    this.errors = errors;
+  }
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function newToken() {
+  return crypto.randomBytes(24).toString('base64url');
+}
+
+function validateSettings(settings) {
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) return ['settings must be an object'];
+
+  const errors = [];
+  for (const [field, value] of Object.entries(settings)) {
+    if (field === 'priorityClass') {
+      if (typeof value !== 'string' || !value) errors.push('settings.priorityClass must be a scheduling class name');
+    } else if (field === 'rateLimit') {
+      if (!Number.isInteger(value) || value < 1) errors.push('settings.rateLimit must be a positive integer (requests per minute)');
+    } else if (field === 'printer') {
+      if (typeof value !== 'string' || !value) errors.push('settings.printer must be a printer id');
+    } else if (field === 'moderation') {
+      if (typeof value !== 'boolean') errors.push('settings.moderation must be true or false');
+    } else if (field === 'allowedCategories') {
+      if (!Array.isArray(value) || value.some(category => typeof category !== 'string')) {
+        errors.push('settings.allowedCategories must be a list of category ids');
+      }
+    } else {
+      errors.push(`settings.${field} is not a known setting`);
+    }
+  }
+  return errors;
+}
+
+function validateKiosk({ name, role, settings }) {
+  const errors = [];
+  if (name !== undefined && (typeof name !== 'string' || !name.trim())) errors.push('name must be a non-empty string');
+  if (role !== undefined && !KIOSK_ROLES.includes(role)) errors.push(`role must be one of: ${KIOSK_ROLES.join(', ')}`);
+  if (settings !== undefined) errors.push(...validateSettings(settings));
+  return errors;
+}
+
+// Kiosk as returned by the admin API (never includes the token hash)
+export function describeKiosk({ tokenHash, ...kiosk }) {
+  return kiosk;
+}
+
+// Scheduling class for a kiosk's jobs (see lib/scheduler.js)
+export function kioskClass(kiosk) {
+  return kiosk.settings.priorityClass ?? kiosk.role;
+}
+
+// Registered kiosks and their secret tokens. Tokens are only returned when issued;
+// the store keeps a SHA-256 hash.
+export function createKioskRegistry(store) {
+  return {
+    list() {
+      return store.listKiosks();
+    },
+
+    get(id) {
+      return store.getKiosk(id);
+    },
+
+    register({ id, name, role = 'kiosk', settings = {} }) {
+      const errors = validateKiosk({ name, role, settings });
+      if (!id || !ID_PATTERN.test(id)) errors.unshift('id must be lowercase letters, digits and dashes');
+      if (!name) errors.push('name is required');
+      if (store.getKiosk(id)) errors.push(`kiosk "${id}" already exists`);
+      if (errors.length) throw new KioskValidationError(errors);
+
+      const token = newToken();
+      const kiosk = store.createKiosk({ id, name: name.trim(), role, settings, tokenHash: hashToken(token) });
+      return { kiosk, token };
+    },
+
+    // Rename, change role or replace settings
+    update(id, { name, role, settings }) {
+      const errors = validateKiosk({ name, role, settings });
+      if (errors.length) throw new KioskValidationError(errors);
+
+      const changes = {};
+      if (name !== undefined) changes.name = name.trim();
+      if (role !== undefined) changes.role = role;
+      if (settings !== undefined) changes.settings = settings;
+      return store.updateKiosk(id, changes);
+    },
+
+    rotateToken(id) {
+      const token = newToken();
+      const kiosk = store.updateKiosk(id, { tokenHash: hashToken(token) });
+      return kiosk && { kiosk, token };
+    },
+
+    retire(id) {
+      return store.updateKiosk(id, { retiredAt: new Date() });
+    },
+
+    // Active kiosk matching the id and token, or undefined
+    authenticate(id, token) {
+      if (!id || !token) return undefined;
+
+      const kiosk = store.getKiosk(id);
+      if (!kiosk || kiosk.retiredAt) return undefined;
+
+      const expected = Buffer.from(kiosk.tokenHash, 'hex');
+      const provided = Buffer.from(hashToken(token), 'hex');
+      return crypto.timingSafeEqual(expected, provided) ? kiosk : undefined;
+    }
+  };
+}
@@ -0,0 +1,38 @@
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// LOG_LEVEL=debug|info|warn|error (default info)
+const minimumLevel = LEVELS[process.env.LOG_LEVEL] ?? LEVELS.info;
+
+// Errors do not survive JSON.stringify; keep what is useful for debugging
+function serialize(value) {
+  if (!(value instanceof Error)) return value;
+  return {
+    type: value.name,
+    message: value.message,
+    ...(value.code !== undefined && { code: value.code }),
+    stack: value.stack
+  };
+}
+
+// Structured logger: every line is one JSON object with time, level, msg, the logger's
+// bound fields and the fields passed with the message. Bind sessionId with child() to get
+// the correlation id on every line about one photo. warn and error go to stderr.
+export function createLogger(fields = {}) {
+  function write(level, msg, details = {}) {
+    if (LEVELS[level] < minimumLevel) return;
+    const entry = { time: new Date().toISOString(), level, msg, pid: process.pid, ...fields };
+    for (const [key, value] of Object.entries(details)) entry[key] = serialize(value);
+    const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+    stream.write(`${JSON.stringify(entry)}\n`);
+  }
+
+  return {
+    debug: (msg, details) => write('debug', msg, details),
+    info: (msg, details) => write('info', msg, details),
+    warn: (msg, details) => write('warn', msg, details),
+    error: (msg, details) => write('error', msg, details),
+    child: extra => createLogger({ ...fields, ...extra })
+  };
+}
+
+export const logger = createLogger();
@@ -0,0 +1,83 @@
+import * as fs from "node:fs/promises";
+import path from "node:path";
+import crypto from "node:crypto";
+import nodemailer from "nodemailer";
+
+// Mail settings; every value can be overridden from the environment. Email is off unless
+// MAIL_TRANSPORT or SMTP_HOST is set. The file transport only writes messages to disk
+// (nobody receives them), so it has to be asked for.
+export const mailConfig = {
+  transport: process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : null),
+  from: process.env.MAIL_FROM || 'Marathon Photobooth <photobooth@localhost>',
+  smtp: {
+    host: process.env.SMTP_HOST,
+    port: Number.parseInt(process.env.SMTP_PORT || '587', 10),
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+  },
+  file: {
+    // Maildir layout: messages are written to tmp/ and moved into new/
+    directory: process.env.MAIL_DIR || 'mail'
+  },
+  maxAttempts: Number.parseInt(process.env.MAIL_MAX_ATTEMPTS || '5', 10),
+  retryDelayMs: Number.parseInt(process.env.MAIL_RETRY_DELAY_MS || '30000', 10)
+};
+
+function createSmtpTransport({ smtp }) {
+  if (!smtp.host) {
+    throw new Error('SMTP_HOST is not set (set MAIL_TRANSPORT=file to write emails to disk instead)');
+  }
+  const transporter = nodemailer.createTransport(smtp);
+  return {
+    name: 'smtp',
+    async send(message) {
+      const info = await transporter.sendMail(message);
+      return { messageId: info.messageId };
+    }
+  };
+}
+
+function createFileTransport({ file }, baseDir) {
+  const directory = path.resolve(baseDir, file.directory);
+  const transporter = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+
+  return {
+    name: 'file',
+    async send(message) {
+      const info = await transporter.sendMail(message);
+      const name = `${Date.now()}.${crypto.randomUUID()}.eml`;
+
+      await fs.mkdir(path.join(directory, 'tmp'), { recursive: true });
+      await fs.mkdir(path.join(directory, 'new'), { recursive: true });
+      await fs.writeFile(path.join(directory, 'tmp', name), info.message);
+      await fs.rename(path.join(directory, 'tmp', name), path.join(directory, 'new', name));
+
+      return { messageId: info.messageId, file: path.join(directory, 'new', name) };
+    }
+  };
+}
+
+const factories = {
+  smtp: createSmtpTransport,
+  file: createFileTransport
+};
+
+// A transport exposes send(message) -> Promise<{ messageId }>, where message uses
+// nodemailer's fields (from, to, subject, text, html, attachments). Null when email is off.
+export function createMailTransport(name = mailConfig.transport, baseDir = process.cwd()) {
+  if (!name) return null;
+  const factory = factories[name];
+  if (!factory) {
+    throw new Error(`Unknown MAIL_TRANSPORT "${name}" (expected one of: ${Object.keys(factories).join(', ')})`);
+  }
+  return factory(mailConfig, baseDir);
+}
+
+// Delay before the next attempt: retryDelayMs, doubling after every failure
+export function retryDelay(attempts) {
+  return mailConfig.retryDelayMs * 2 ** Math.max(0, attempts - 1);
+}
+
+export function isValidEmail(address) {
+  return typeof address === 'string' && address.length <= 254 && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(address);
+}
@@ -0,0 +1,120 @@
+// Prometheus text exposition format (version 0.0.4)
+export const METRICS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+const DEFAULT_BUCKETS = [0.1, 0.5, 1, 2.5, 5, 10, 30, 60, 120];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+  return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+// Values of one metric, one per combination of its label values
+function createSeries(labelNames, defaultLabels, initial) {
+  const series = new Map();
+
+  return {
+    get(labels = {}) {
+      const values = labelNames.map(name => String(labels[name] ?? ''));
+      const key = JSON.stringify(values);
+      if (!series.has(key)) {
+        const all = { ...defaultLabels, ...Object.fromEntries(labelNames.map((name, index) => [name, values[index]])) };
+        series.set(key, { labels: all, ...initial() });
+      }
+      return series.get(key);
+    },
+    reset() {
+      series.clear();
+    },
+    values() {
+      return [...series.values()];
+    }
+  };
+}
+
+// Minimal metrics registry: counters, gauges and histograms with labels, rendered in the
+// Prometheus text format. Gauges may have a collect() callback that sets their values at
+// scrape time. Values are per process; defaultLabels (e.g. the worker) tell processes apart.
+export function createMetrics({ defaultLabels = {} } = {}) {
+  const metrics = [];
+
+  function register(type, { name, help, labelNames = [] }, initial, extra = {}) {
+    const series = createSeries(labelNames, defaultLabels, initial);
+    metrics.push({ type, name, help, series, ...extra });
+    return series;
+  }
+
+  return {
+    counter(options) {
+      const series = register('counter', options, () => ({ value: 0 }));
+      return {
+        inc(labels, value = 1) {
+          series.get(labels).value += value;
+        }
+      };
+    },
+
+    gauge(options) {
+      const gauge = {
+        set(labels, value) {
+          series.get(labels).value = value;
+        }
+      };
+      const series = register('gauge', options, () => ({ value: 0 }), {
+        collect: options.collect && (() => options.collect(gauge))
+      });
+      return gauge;
+    },
+
+    histogram(options) {
+      const buckets = [...(options.buckets || DEFAULT_BUCKETS)].sort((a, b) => a - b);
+      const series = register('histogram', options, () => ({ counts: buckets.map(() => 0), sum: 0, count: 0 }), { buckets });
+      return {
+        observe(labels, value) {
+          const entry = series.get(labels);
+          buckets.forEach((bound, index) => {
+            if (value <= bound) entry.counts[index]++;
+          });
+          entry.sum += value;
+          entry.count++;
+        }
+      };
+    },
+
+    async render() {
+      const lines = [];
+      for (const metric of metrics) {
+        if (metric.collect) {
+          metric.series.reset();
+          await metric.collect();
+        }
+        lines.push(`# HELP ${metric.name} ${metric.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`);
+        lines.push(`# TYPE ${metric.name} ${metric.type}`);
+
+        for (const entry of metric.series.values()) {
+          if (metric.type !== 'histogram') {
+            lines.push(`${metric.name}${formatLabels(entry.labels)} ${formatValue(entry.value)}`);
+            continue;
+          }
+          // Bucket counts are cumulative
+          metric.buckets.forEach((bound, index) => {
+            lines.push(`${metric.name}_bucket${formatLabels({ ...entry.labels, le: formatValue(bound) })} ${entry.counts[index]}`);
+          });
+          lines.push(`${metric.name}_bucket${formatLabels({ ...entry.labels, le: '+Inf' })} ${entry.count}`);
+          lines.push(`${metric.name}_sum${formatLabels(entry.labels)} ${entry.sum}`);
+          lines.push(`${metric.name}_count${formatLabels(entry.labels)} ${entry.count}`);
+        }
+      }
+      return `${lines.join('\n')}\n`;
+    }
+  };
+}
@@ -0,0 +1,75 @@
+// Guest-facing HTML pages, kept dependency-free (no template engine)
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function layout(title, body) {
+  return `<!doctype html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <meta name="robots" content="noindex">
+  <title>${escapeHtml(title)}</title>
+  <style>
+    body { margin: 0; font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; background: #111; color: #fff; text-align: center; }
+    main { max-width: 640px; margin: 0 auto; padding: 24px 16px 40px; }
+    h1 { font-size: 1.4rem; margin: 0 0 16px; }
+    img { width: 100%; border-radius: 8px; display: block; }
+    .actions { display: flex; gap: 12px; margin-top: 20px; }
+    .actions a, .actions button { flex: 1; padding: 14px; border-radius: 8px; border: 0; font-size: 1rem; font-weight: 600; text-decoration: none; cursor: pointer; }
+    .primary { background: #e30613; color: #fff; }
+    .secondary { background: #fff; color: #111; }
+    .note { color: #aaa; font-size: 0.85rem; margin-top: 20px; }
+  </style>
+</head>
+<body>
+  <main>
+${body}
+  </main>
+</body>
+</html>`;
+}
+
+export function renderPhotoPage({ eventName, imageUrl, downloadUrl, expiresAt }) {
+  const expiry = expiresAt
+    ? `<p class="note">Available until ${escapeHtml(new Date(expiresAt).toUTCString())}. Save it to keep it.</p>`
+    : '';
+
+  return layout(`Your ${eventName} photo`, `
+    <h1>Your ${escapeHtml(eventName)} photo</h1>
+    <img src="${escapeHtml(imageUrl)}" alt="Your marathon photo">
+    <div class="actions">
+      <a class="primary" href="${escapeHtml(downloadUrl)}">Download</a>
+      <button class="secondary" id="share" hidden>Share</button>
+    </div>
+    ${expiry}
+    <script>
+      const button = document.getElementById('share');
+      if (navigator.share) {
+        button.hidden = false;
+        button.addEventListener('click', async () => {
+          try {
+            const blob = await (await fetch(${JSON.stringify(imageUrl)})).blob();
+            const file = new File([blob], 'marathon-photo.png', { type: blob.type });
+            const data = navigator.canShare && navigator.canShare({ files: [file] })
+              ? { files: [file], title: document.title }
+              : { url: location.href, title: document.title };
+            await navigator.share(data);
+          } catch {}
+        });
+      }
+    </script>`);
+}
+
+export function renderMessagePage({ eventName, title, message }) {
+  return layout(`${eventName} photo`, `
+    <h1>${escapeHtml(title)}</h1>
+    <p>${escapeHtml(message)}</p>`);
+}
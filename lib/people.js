@@ -0,0 +1,30 @@
+const GENDER_PATTERN = /^[a-z-]{1,20}$/;
+
+// Who is in the photo, from a kiosk request. One selfie with `gender` is a single runner.
+// A group is either several images (one runner each) or one group photo with peopleCount.
+// `genders` lists every runner's gender in order (image order, or left to right in a group
+// photo); a plain `gender` applies to everyone.
+// Returns { people: [{ gender }], groupInput } (groupInput null for one runner) or { error }.
+export function parsePeopleRequest({ gender, genders, peopleCount }, imageCount, maxPeople = 5) {
+  const list = typeof genders === 'string' && genders.trim()
+    ? genders.split(',').map(value => value.trim().toLowerCase())
+    : null;
+  const requested = peopleCount === undefined || peopleCount === '' ? null : Number(peopleCount);
+
+  if (requested !== null && imageCount > 1 && requested !== imageCount) {
+    return { error: 'peopleCount does not match the number of images' };
+  }
+  const count = imageCount > 1 ? imageCount : requested ?? list?.length ?? 1;
+  if (!Number.isInteger(count) || count < 1 || count > maxPeople) {
+    return { error: `A photo can have 1 to ${maxPeople} people` };
+  }
+
+  if (list && list.length !== count) return { error: `genders must list one gender per person (${count})` };
+  if (list?.some(value => !GENDER_PATTERN.test(value))) return { error: 'Invalid gender in genders' };
+  if (!list && !gender) return { error: 'Missing required fields' };
+
+  return {
+    people: list ? list.map(value => ({ gender: value })) : Array.from({ length: count }, () => ({ gender })),
+    groupInput: count === 1 ? null : imageCount > 1 ? 'images' : 'photo'
+  };
+}
@@ -0,0 +1,183 @@
+import * as fs from "node:fs/promises";
+import path from "node:path";
+import { execFile } from "node:child_process";
+
+// Print queue settings; every value can be overridden from the environment
+export const printConfig = {
+  maxAttempts: Number.parseInt(process.env.PRINT_MAX_ATTEMPTS || '3', 10),
+  retryDelayMs: Number.parseInt(process.env.PRINT_RETRY_DELAY_MS || '15000', 10),
+  lpCommand: process.env.LP_COMMAND || 'lp',
+  lpTimeoutMs: Number.parseInt(process.env.LP_TIMEOUT_MS || '30000', 10)
+};
+
+export const PRINT_STATUSES = ['queued', 'held', 'printing', 'printed', 'failed', 'cancelled'];
+
+const ID_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+
+export class PrinterValidationError extends Error {
+  constructor(errors) {
+    super(`Invalid printers: ${errors.join('; ')}`);
+    this.name = 'PrinterValidationError';
+    this.errors = errors;
+  }
+}
+
+// A failed print attempt. code: 'jam' (paper or ribbon problem at the printer),
+// 'offline' (printer or spooler unreachable) or 'failed'.
+export class PrintError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'PrintError';
+    this.code = code;
+  }
+}
+
+function createSpoolDriver(printer, baseDir) {
+  const directory = path.resolve(baseDir, printer.directory || path.join('prints', printer.id));
+
+  return {
+    name: 'spool',
+    // Written to tmp/ and moved into the directory with a JSON ticket, so a watcher only
+    // ever sees complete files
+    async print(job, filePath) {
+      const name = `${Date.now()}-${job.id}`;
+      const extension = path.extname(filePath);
+      const ticket = { jobId: job.id, sessionId: job.sessionId, copies: job.copies, paperSize: job.paperSize, media: job.media };
+
+      try {
+        await fs.mkdir(path.join(directory, 'tmp'), { recursive: true });
+        await fs.copyFile(filePath, path.join(directory, 'tmp', `${name}${extension}`));
+        await fs.writeFile(path.join(directory, 'tmp', `${name}.json`), JSON.stringify(ticket, null, 2));
+        await fs.rename(path.join(directory, 'tmp', `${name}.json`), path.join(directory, `${name}.json`));
+        await fs.rename(path.join(directory, 'tmp', `${name}${extension}`), path.join(directory, `${name}${extension}`));
+      } catch (error) {
+        throw new PrintError(error.code === 'ENOENT' && error.path === filePath ? 'failed' : 'offline', error.message);
+      }
+      return { reference: path.join(directory, `${name}${extension}`) };
+    },
+
+    // Remove a job's spooled copy and ticket (if the watcher has not taken them yet);
+    // returns their paths
+    async discard(job) {
+      if (!job.reference) return [];
+      const files = [job.reference, job.reference.replace(/\.[^.]+$/, '.json')];
+      await Promise.all(files.map(file => fs.rm(file, { force: true })));
+      return files;
+    }
+  };
+}
+
+// CUPS: `lp -d <destination> -n <copies> -o media=<media> [options] <file>`
+function createLpDriver(printer) {
+  return {
+    name: 'lp',
+    print(job, filePath) {
+      const args = ['-d', printer.destination, '-n', String(job.copies)];
+      if (job.media) args.push('-o', `media=${job.media}`);
+      for (const [option, value] of Object.entries(printer.options || {})) args.push('-o', `${option}=${value}`);
+      args.push(filePath);
+
+      return new Promise((resolve, reject) => {
+        execFile(printConfig.lpCommand, args, { timeout: printConfig.lpTimeoutMs }, (error, stdout, stderr) => {
+          if (!error) {
+            // "request id is DNP-42 (1 file(s))"
+            return resolve({ reference: stdout.match(/request id is (\S+)/)?.[1] || stdout.trim() });
+          }
+          const message = String(stderr || error.message).trim();
+          const code = /jam|paper|ribbon|media/i.test(message) ? 'jam'
+            : error.code === 'ENOENT' || /not accepting|unable to connect|does not exist|not responding/i.test(message) ? 'offline'
+            : 'failed';
+          reject(new PrintError(code, message));
+        });
+      });
+    },
+
+    // CUPS drops its copy of a job's file once the job has finished; nothing is left here
+    async discard() {
+      return [];
+    }
+  };
+}
+
+const drivers = {
+  spool: createSpoolDriver,
+  lp: createLpDriver
+};
+
+function validatePrinter(id, printer) {
+  const errors = [];
+  if (!ID_PATTERN.test(id)) errors.push(`${id}: ids must be lowercase letters, digits and dashes`);
+  if (!drivers[printer?.driver]) errors.push(`${id}.driver must be one of: ${Object.keys(drivers).join(', ')}`);
+  if (printer?.driver === 'lp' && typeof printer.destination !== 'string') errors.push(`${id}.destination is required for lp`);
+  if (printer?.maxCopies !== undefined && !(Number.isInteger(printer.maxCopies) && printer.maxCopies >= 1)) {
+    errors.push(`${id}.maxCopies must be a positive integer`);
+  }
+  const paperSizes = Object.entries(printer?.paperSizes || {});
+  if (!paperSizes.length) errors.push(`${id}.paperSizes must name at least one paper size`);
+  for (const [size, paper] of paperSizes) {
+    if (typeof paper?.rendition !== 'string') errors.push(`${id}.paperSizes.${size}.rendition is required`);
+  }
+  return errors;
+}
+
+export function validatePrinters(data, { renditions = [] } = {}) {
+  const errors = Object.entries(data || {}).flatMap(([id, printer]) => [
+    ...validatePrinter(id, printer),
+    ...Object.entries(printer?.paperSizes || {})
+      .filter(([, paper]) => paper?.rendition && renditions.length && !renditions.includes(paper.rendition))
+      .map(([size, paper]) => `${id}.paperSizes.${size}.rendition "${paper.rendition}" is not in config/renditions.json`)
+  ]);
+  if (Object.values(data || {}).filter(printer => printer?.default).length > 1) errors.push('only one printer can be the default');
+  if (errors.length) throw new PrinterValidationError(errors);
+  return data;
+}
+
+// Delay before the next attempt: retryDelayMs, doubling after every failure
+export function printRetryDelay(attempts) {
+  return printConfig.retryDelayMs * 2 ** Math.max(0, attempts - 1);
+}
+
+// On-site printers (config/printers.json). Each names its driver, the paper sizes it takes
+// (each printed from one rendition) and whether it is the default; kiosks are routed to
+// their nearest printer with the kiosk setting "printer".
+export function createPrinters(filePath, baseDir, { renditions } = {}) {
+  let printers = {};
+  let instances = {};
+
+  return {
+    async load() {
+      let raw;
+      try {
+        raw = await fs.readFile(filePath, 'utf8');
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+        raw = '{}';
+      }
+      printers = validatePrinters(JSON.parse(raw), { renditions: renditions?.list().map(rendition => rendition.id) });
+      instances = Object.fromEntries(Object.entries(printers).map(([id, printer]) => [
+        id,
+        drivers[printer.driver]({ id, ...printer }, baseDir)
+      ]));
+      return printers;
+    },
+
+    list() {
+      return Object.entries(printers).map(([id, printer]) => ({ id, ...structuredClone(printer) }));
+    },
+
+    get(id) {
+      return typeof id === 'string' && Object.hasOwn(printers, id) ? { id, ...structuredClone(printers[id]) } : undefined;
+    },
+
+    // The printer a kiosk prints to: the one asked for, its configured one, or the default
+    route(kiosk, requested) {
+      const id = requested || kiosk?.settings.printer
+        || Object.keys(printers).find(candidate => printers[candidate].default);
+      return id && this.get(id);
+    },
+
+    driver(id) {
+      return Object.hasOwn(instances, id) ? instances[id] : undefined;
+    }
+  };
+}
@@ -0,0 +1,208 @@
+import * as fs from "node:fs/promises";
+import path from "node:path";
+import crypto from "node:crypto";
+
+// Fields a section or line can be conditional on (see promptContext)
+export const CONDITION_FIELDS = [
+  'gender', 'timePeriod', 'artisticStyle', 'pose', 'prominence', 'treatment', 'bib', 'variant', 'group', 'groupInput'
+];
+
+export class PromptTemplateValidationError extends Error {
+  constructor(errors) {
+    super(`Invalid prompt templates: ${errors.join('; ')}`);
+    this.name = 'PromptTemplateValidationError';
+    this.errors = errors;
+  }
+}
+
+function validateCondition(label, when) {
+  if (!when || typeof when !== 'object' || Array.isArray(when)) return [`${label} must be an object`];
+
+  const errors = [];
+  for (const [field, value] of Object.entries(when)) {
+    if (field === 'not') {
+      errors.push(...validateCondition(`${label}.not`, value));
+    } else if (!CONDITION_FIELDS.includes(field)) {
+      errors.push(`${label}.${field} is not a known condition (expected one of: ${CONDITION_FIELDS.join(', ')})`);
+    } else if (![value].flat().every(item => ['string', 'boolean'].includes(typeof item))) {
+      errors.push(`${label}.${field} must be a string, boolean or a list of them`);
+    }
+  }
+  return errors;
+}
+
+// A line is a string, { text, when } or a nested group { lines, when, join }
+export function validateLines(label, lines) {
+  if (!Array.isArray(lines)) return [`${label} must be a list`];
+
+  return lines.flatMap((line, index) => {
+    const lineLabel = `${label}[${index}]`;
+    if (typeof line === 'string') return [];
+    if (!line || typeof line !== 'object') return [`${lineLabel} must be a string or an object`];
+
+    const errors = line.when === undefined ? [] : validateCondition(`${lineLabel}.when`, line.when);
+    const hasText = typeof line.text === 'string';
+    if (hasText === Array.isArray(line.lines)) {
+      errors.push(`${lineLabel} needs either text or lines`);
+    } else if (line.lines) {
+      errors.push(...validateLines(`${lineLabel}.lines`, line.lines));
+    }
+    return errors;
+  });
+}
+
+export function validateProfile(id, data) {
+  const errors = [];
+  if (!Number.isInteger(data?.version) || data.version < 1) errors.push(`${id}.version must be a positive integer`);
+  // Per-gender identity wording for the runners of a group photo ({peopleList})
+  for (const [gender, text] of Object.entries(data?.identity || {})) {
+    if (typeof text !== 'string') errors.push(`${id}.identity.${gender} must be a string`);
+  }
+  if (!Array.isArray(data?.sections)) {
+    errors.push(`${id}.sections must be a list`);
+  } else {
+    const seen = new Set();
+    data.sections.forEach((section, index) => {
+      const label = `${id}.sections[${index}]`;
+      if (typeof section?.id !== 'string') errors.push(`${label}.id is required`);
+      else if (seen.has(section.id)) errors.push(`${label}.id "${section.id}" is used twice`);
+      seen.add(section?.id);
+      if (section?.when !== undefined) errors.push(...validateCondition(`${label}.when`, section.when));
+      errors.push(...validateLines(`${label}.lines`, section?.lines));
+    });
+  }
+  if (errors.length) throw new PromptTemplateValidationError(errors);
+  return data;
+}
+
+function matches(when, context) {
+  if (!when) return true;
+  return Object.entries(when).every(([field, expected]) =>
+    field === 'not' ? !matches(expected, context) : [expected].flat().includes(context[field])
+  );
+}
+
+function fillPlaceholders(text, context) {
+  return text.replace(/\{(\w+)\}/g, (match, key) => context[key] ?? '');
+}
+
+// One identity line per runner of a group; the alternate variant uses the neutral wording
+function peopleList(profile, context) {
+  if (!context.people) return '';
+  const identity = profile.identity || {};
+  return context.people.map(({ gender }, index) => {
+    const text = identity[context.variant === 'alternate' ? 'non-binary' : gender] || identity['non-binary'] || '';
+    return `- Runner ${index + 1}: ${text}`.trimEnd();
+  }).join('\n');
+}
+
+function renderLines(lines, context, join = '\n') {
+  return lines
+    .filter(line => typeof line === 'string' || matches(line.when, context))
+    .map(line => typeof line === 'string' ? fillPlaceholders(line, context)
+      : line.lines ? renderLines(line.lines, context, line.join)
+      : fillPlaceholders(line.text, context))
+    .filter(Boolean)
+    .join(join);
+}
+
+// Condition fields and placeholder values for a background and generation request.
+// Missing catalog fields fall back to the same defaults the original prompt used.
+// people ([{ gender }], two or more) makes it a group photo; groupInput says whether the
+// runners arrive as one group "photo" or as separate "images". city and year come from
+// the event.
+export function promptContext(
+  backgroundInfo,
+  { gender, prominence = 'medium', bib = false, variant = 'standard', people, groupInput = 'images', city, year = '2025' } = {}
+) {
+  const colorTreatment = (backgroundInfo.colorTreatment || '').toLowerCase();
+  const treatment = backgroundInfo.artisticStyle === 'oil-painting' || colorTreatment.includes('oil painting') ? 'oil-painting'
+    : colorTreatment.includes('sepia') || colorTreatment.includes('vintage') ? 'sepia'
+    : colorTreatment.includes('black') || colorTreatment.includes('monochrome') ? 'monochrome'
+    : 'natural';
+
+  const group = people?.length > 1;
+
+  return {
+    gender: group ? undefined : gender,
+    timePeriod: ['past', 'future'].includes(backgroundInfo.timePeriod) ? backgroundInfo.timePeriod : 'present',
+    artisticStyle: backgroundInfo.artisticStyle || 'photoreal',
+    pose: backgroundInfo.pose === 'walking' ? 'walking' : 'running',
+    prominence: ['low', 'medium', 'high'].includes(prominence) ? prominence : 'medium',
+    treatment,
+    bib: Boolean(bib),
+    variant,
+    group,
+    groupInput: group ? groupInput : undefined,
+    people: group ? people : undefined,
+    peopleCount: group ? people.length : 1,
+    description: backgroundInfo.description,
+    lighting: backgroundInfo.lighting || 'match ambient lighting in scene; soft, realistic shadows',
+    era: backgroundInfo.era || year,
+    city
+  };
+}
+
+// Prompt profiles: one JSON file per profile in the prompts directory, each an ordered
+// list of named sections whose lines can be conditional. A rendered prompt is tagged
+// with "<profile>@<version>" plus a hash of the file, so unversioned edits still show.
+export function createPromptLibrary(directory) {
+  let profiles = {};
+
+  return {
+    async load() {
+      const next = {};
+      const errors = [];
+      for (const file of (await fs.readdir(directory)).filter(name => name.endsWith('.json')).sort()) {
+        const id = path.basename(file, '.json');
+        const raw = await fs.readFile(path.join(directory, file), 'utf8');
+        try {
+          next[id] = {
+            ...validateProfile(id, JSON.parse(raw)),
+            hash: crypto.createHash('sha256').update(raw).digest('hex').slice(0, 12)
+          };
+        } catch (error) {
+          errors.push(...(error.errors || [`${id}: ${error.message}`]));
+        }
+      }
+      if (errors.length) throw new PromptTemplateValidationError(errors);
+      profiles = next;
+      return profiles;
+    },
+
+    has(id) {
+      return Boolean(profiles[id]);
+    },
+
+    list() {
+      return Object.entries(profiles).map(([id, profile]) => ({
+        id,
+        version: profile.version,
+        versionId: `${id}@${profile.version}`,
+        hash: profile.hash,
+        description: profile.description,
+        sections: profile.sections.map(section => section.id)
+      }));
+    },
+
+    // overrides replaces the lines of named sections (experiments use this).
+    // -> { prompt, promptVersion, promptHash, sections: [{ id, text }] }
+    render(id, context, overrides = {}) {
+      const profile = profiles[id];
+      if (!profile) throw new Error(`Unknown prompt profile "${id}"`);
+
+      const values = { ...context, peopleList: peopleList(profile, context) };
+      const sections = profile.sections
+        .filter(section => matches(section.when, values))
+        .map(section => ({ id: section.id, text: renderLines(overrides[section.id] || section.lines, values) }))
+        .filter(section => section.text);
+
+      return {
+        prompt: sections.map(section => section.text).join('\n'),
+        promptVersion: `${id}@${profile.version}`,
+        promptHash: profile.hash,
+        sections
+      };
+    }
+  };
+}
@@ -0,0 +1,34 @@
+// Failure classes for a generation attempt. The code is what the kiosk sees; retryable
+// failures are attempted again by the retry policy in lib/generation.js.
+export const FAILURE_CLASSES = {
+  safety_blocked: { retryable: false, message: "We couldn't create this photo. Please try a different pose or background." },
+  quota_exceeded: { retryable: true, message: 'The photo service is very busy right now. Please try again in a minute.' },
+  timeout: { retryable: true, message: 'Creating your photo took too long. Please try again.' },
+  empty_response: { retryable: true, message: "We couldn't create this photo. Please try again." },
+  provider_error: { retryable: true, message: 'The photo service had a hiccup. Please try again.' },
+  invalid_request: { retryable: false, message: "We couldn't use this photo. Please retake it." },
+  internal: { retryable: false, message: 'Something went wrong. Please ask a staff member for help.' }
+};
+
+export class GenerationError extends Error {
+  constructor(code, message = FAILURE_CLASSES[code]?.message) {
+    super(message);
+    this.name = 'GenerationError';
+    this.code = FAILURE_CLASSES[code] ? code : 'internal';
+  }
+}
+
+// Map anything a provider (or its SDK) throws onto one of the failure classes
+export function classifyError(error) {
+  if (error instanceof GenerationError) return error.code;
+  if (error?.name === 'AbortError' || error?.name === 'TimeoutError') return 'timeout';
+
+  const status = error?.status ?? error?.response?.status;
+  const message = String(error?.message || '');
+
+  if (status === 429 || /RESOURCE_EXHAUSTED|quota|rate limit/i.test(message)) return 'quota_exceeded';
+  if (/blocked|SAFETY|PROHIBITED_CONTENT/.test(message)) return 'safety_blocked';
+  if (status >= 500 || /fetch failed|ECONNRESET|ETIMEDOUT|ENOTFOUND|socket hang up/i.test(message)) return 'provider_error';
+  if (status >= 400) return 'invalid_request';
+  return 'internal';
+}
@@ -0,0 +1,43 @@
+import { GoogleGenerativeAI } from "@google/generative-ai";
+import { GenerationError } from "./errors.js";
+
+// Finish reasons that mean the output was withheld rather than missing
+const BLOCKED_FINISH_REASONS = ['SAFETY', 'IMAGE_SAFETY', 'PROHIBITED_CONTENT', 'BLOCKLIST', 'SPII', 'RECITATION'];
+
+function toInlineData({ data, mimeType = "image/jpeg" }) {
+  return { inlineData: { mimeType, data: data.toString("base64") } };
+}
+
+// Gemini image model. Images are sent after the prompt in the order given
+// (people first, then environment).
+export function createGeminiProvider({ apiKey, model: modelName, generationConfig }) {
+  const genAI = new GoogleGenerativeAI(apiKey);
+  const model = genAI.getGenerativeModel({ model: modelName, generationConfig });
+
+  return {
+    name: 'gemini',
+    model: modelName,
+
+    // generationConfig overrides the configured sampling settings for this call
+    async generate(prompt, images, { signal, generationConfig: overrides } = {}) {
+      const callModel = overrides
+        ? genAI.getGenerativeModel({ model: modelName, generationConfig: { ...generationConfig, ...overrides } })
+        : model;
+      const result = await callModel.generateContent([prompt, ...images.map(toInlineData)], { signal });
+      const response = result.response;
+      const candidate = response?.candidates?.[0];
+
+      const blockReason = response?.promptFeedback?.blockReason;
+      if (blockReason) throw new GenerationError('safety_blocked', `Prompt blocked: ${blockReason}`);
+      if (BLOCKED_FINISH_REASONS.includes(candidate?.finishReason)) {
+        throw new GenerationError('safety_blocked', `Output blocked: ${candidate.finishReason}`);
+      }
+
+      const parts = candidate?.content?.parts || [];
+
+      return parts
+        .filter(part => part.inlineData?.data)
+        .map(part => Buffer.from(part.inlineData.data, "base64"));
+    }
+  };
+}
@@ -0,0 +1,47 @@
+import { createGeminiProvider } from "./gemini.js";
+import { createLocalProvider } from "./local.js";
+
+export { GenerationError, classifyError, FAILURE_CLASSES } from "./errors.js";
+
+function numberFromEnv(name, fallback) {
+  const value = Number.parseFloat(process.env[name]);
+  return Number.isFinite(value) ? value : fallback;
+}
+
+// Provider settings; every value can be overridden from the environment
+export const providerConfig = {
+  gemini: {
+    apiKey: process.env.GOOGLE_API_KEY,
+    model: process.env.GEMINI_MODEL || "gemini-2.5-flash-image-preview",
+    // Low temperature to improve consistency
+    generationConfig: {
+      temperature: numberFromEnv('GEMINI_TEMPERATURE', 0.28),
+      topP: numberFromEnv('GEMINI_TOP_P', 0.9),
+      topK: numberFromEnv('GEMINI_TOP_K', 32)
+      // candidateCount intentionally left default (1) to avoid "Multiple candidates not enabled" errors
+    }
+  },
+  local: {
+    personHeight: numberFromEnv('LOCAL_PERSON_HEIGHT', 0.3),
+    simulateFailure: process.env.LOCAL_SIMULATE_FAILURE,
+    failureRate: numberFromEnv('LOCAL_FAILURE_RATE', 1)
+  }
+};
+
+const factories = {
+  gemini: createGeminiProvider,
+  local: createLocalProvider
+};
+
+// A provider exposes generate(prompt, images, { signal, generationConfig }) -> Promise<Buffer[]>, where
+// images is a list of { data: Buffer, mimeType, role: 'person' | 'background' | 'bib' }; a group
+// photo made from separate images has one 'person' entry per runner, in order.
+// Providers should stop when signal aborts and throw GenerationError for failures they
+// can classify themselves (see errors.js).
+export function createProvider(name = process.env.IMAGE_PROVIDER || 'gemini') {
+  const factory = factories[name];
+  if (!factory) {
+    throw new Error(`Unknown IMAGE_PROVIDER "${name}" (expected one of: ${Object.keys(factories).join(', ')})`);
+  }
+  return factory(providerConfig[name] || {});
+}
@@ -0,0 +1,71 @@
+import sharp from "sharp";
+import { GenerationError } from "./errors.js";
+
+// Offline provider: pastes the selfie onto the background with sharp (several person
+// images side by side, at one height). The output only depends on the inputs, so runs are
+// reproducible without an API key.
+// simulateFailure (a failure code, e.g. "timeout") makes a share of the calls fail so
+// kiosk error handling and the retry policy can be exercised offline.
+export function createLocalProvider({ personHeight = 0.3, groundLine = 0.85, simulateFailure, failureRate = 1 } = {}) {
+  return {
+    name: 'local',
+    model: 'sharp-composite',
+
+    async generate(prompt, images, { signal } = {}) {
+      if (simulateFailure && Math.random() < failureRate) {
+        if (simulateFailure === 'timeout') {
+          // Hang until the retry policy gives up on this attempt
+          await new Promise(resolve => signal ? signal.addEventListener('abort', resolve) : setTimeout(resolve, 1000));
+        }
+        if (simulateFailure === 'empty_response') return [];
+        throw new GenerationError(simulateFailure, `Simulated ${simulateFailure}`);
+      }
+
+      const persons = images.filter(image => image.role === 'person');
+      const background = images.find(image => image.role === 'background') || images[1];
+      if (!persons.length || !background) throw new Error('Local provider needs a person and a background image');
+
+      const { width, height } = await sharp(background.data).metadata();
+
+      const personBuffers = await Promise.all(persons.map(person => sharp(person.data)
+        .rotate()
+        .resize({
+          height: Math.round(height * personHeight),
+          width: Math.round(width * (persons.length > 1 ? 0.8 / persons.length : 0.5)),
+          fit: 'inside'
+        })
+        .png()
+        .toBuffer()));
+      const personMetas = await Promise.all(personBuffers.map(buffer => sharp(buffer).metadata()));
+
+      const rowWidth = personMetas.reduce((sum, meta) => sum + meta.width, 0);
+      let left = Math.round((width - rowWidth) / 2);
+      const layers = personBuffers.map((input, index) => {
+        const layer = { input, left, top: Math.max(0, Math.round(height * groundLine) - personMetas[index].height) };
+        left += personMetas[index].width;
+        return layer;
+      });
+      const [personMeta] = personMetas;
+      const { left: personLeft, top: personTop } = layers[0];
+
+      // A bib reference is pinned roughly where the chest of the selfie would be
+      const bib = images.find(image => image.role === 'bib');
+      if (bib) {
+        const bibBuffer = await sharp(bib.data).resize({ width: Math.max(1, Math.round(personMeta.width * 0.3)) }).png().toBuffer();
+        const bibMeta = await sharp(bibBuffer).metadata();
+        layers.push({
+          input: bibBuffer,
+          left: personLeft + Math.round((personMeta.width - bibMeta.width) / 2),
+          top: Math.min(height - bibMeta.height, personTop + Math.round(personMeta.height * 0.6))
+        });
+      }
+
+      const output = await sharp(background.data)
+        .composite(layers)
+        .png()
+        .toBuffer();
+
+      return [output];
+    }
+  };
+}
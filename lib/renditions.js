@@ -0,0 +1,128 @@
+import * as fs from "node:fs/promises";
+import path from "node:path";
+import sharp from "sharp";
+
+const FORMATS = ['jpeg', 'webp', 'png'];
+// "smart" keeps the most salient part of the photo (the runners) inside the crop
+const POSITIONS = { center: 'centre', smart: sharp.strategy.attention, entropy: sharp.strategy.entropy };
+const MM_PER_INCH = 25.4;
+
+export class RenditionValidationError extends Error {
+  constructor(errors) {
+    super(`Invalid renditions: ${errors.join('; ')}`);
+    this.name = 'RenditionValidationError';
+    this.errors = errors;
+  }
+}
+
+function isPositive(value) {
+  return typeof value === 'number' && value > 0;
+}
+
+function validateRendition(id, spec) {
+  const errors = [];
+  if (!/^[a-z0-9-]+$/.test(id)) errors.push(`${id}: ids may only use a-z, 0-9 and -`);
+  if (!FORMATS.includes(spec?.format)) errors.push(`${id}.format must be one of: ${FORMATS.join(', ')}`);
+  if (spec?.quality !== undefined && !(Number.isInteger(spec.quality) && spec.quality >= 1 && spec.quality <= 100)) {
+    errors.push(`${id}.quality must be an integer between 1 and 100`);
+  }
+  for (const field of ['width', 'height']) {
+    if (spec?.[field] !== undefined && !(Number.isInteger(spec[field]) && spec[field] > 0)) {
+      errors.push(`${id}.${field} must be a positive integer`);
+    }
+  }
+  if (spec?.position !== undefined && !POSITIONS[spec.position]) {
+    errors.push(`${id}.position must be one of: ${Object.keys(POSITIONS).join(', ')}`);
+  }
+  if (spec?.print !== undefined) {
+    if (spec.width !== undefined || spec.height !== undefined) errors.push(`${id}: print renditions take their size from print`);
+    for (const field of ['widthInches', 'heightInches', 'dpi']) {
+      if (!isPositive(spec.print?.[field])) errors.push(`${id}.print.${field} must be a positive number`);
+    }
+    if (spec.print?.bleedMm !== undefined && !(typeof spec.print.bleedMm === 'number' && spec.print.bleedMm >= 0)) {
+      errors.push(`${id}.print.bleedMm must be a number of at least 0`);
+    }
+  }
+  return errors;
+}
+
+export function validateRenditions(data) {
+  const errors = Object.entries(data || {}).flatMap(([id, spec]) => validateRendition(id, spec));
+  if (errors.length) throw new RenditionValidationError(errors);
+  return data;
+}
+
+// Pixel size of a print file: the trim size plus the bleed on every side
+export function printSize({ widthInches, heightInches, dpi, bleedMm = 0 }) {
+  const bleed = (bleedMm / MM_PER_INCH) * dpi;
+  return {
+    width: Math.round(widthInches * dpi + 2 * bleed),
+    height: Math.round(heightInches * dpi + 2 * bleed)
+  };
+}
+
+function extensionFor(format) {
+  return format === 'jpeg' ? 'jpg' : format;
+}
+
+async function renderRendition(imageBuffer, spec) {
+  const position = POSITIONS[spec.position || 'center'];
+  const size = spec.print ? printSize(spec.print) : spec;
+  let image = sharp(imageBuffer);
+
+  if (size.width && size.height) {
+    // Fixed aspect ratio (story, square, print): crop to fill
+    image = image.resize(size.width, size.height, { fit: 'cover', position });
+  } else if (size.width || size.height) {
+    image = image.resize(size.width, size.height, { fit: 'inside', withoutEnlargement: true });
+  }
+  if (spec.format === 'jpeg') image = image.flatten({ background: '#ffffff' });
+  if (spec.print) image = image.withMetadata({ density: spec.print.dpi });
+
+  return image.toFormat(spec.format, spec.format === 'png' ? {} : { quality: spec.quality ?? 85 }).toBuffer();
+}
+
+// Output renditions (config/renditions.json): derived files written next to a session's
+// full-size PNG as "<stem>.<id>.<ext>", so all of a photo's files share its stem.
+export function createRenditions(filePath, outputDir) {
+  let renditions = {};
+
+  return {
+    async load() {
+      let raw;
+      try {
+        raw = await fs.readFile(filePath, 'utf8');
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+        raw = '{}';
+      }
+      renditions = validateRenditions(JSON.parse(raw));
+      return renditions;
+    },
+
+    list() {
+      return Object.entries(renditions).map(([id, spec]) => ({
+        id,
+        ...structuredClone(spec),
+        ...(spec.print && { pixels: printSize(spec.print) })
+      }));
+    },
+
+    // Write every rendition of the image -> { [id]: filename }
+    async render(imageBuffer, stem) {
+      const files = {};
+      for (const [id, spec] of Object.entries(renditions)) {
+        const file = `${stem}.${id}.${extensionFor(spec.format)}`;
+        await fs.writeFile(path.join(outputDir, file), await renderRendition(imageBuffer, spec));
+        files[id] = file;
+      }
+      return files;
+    }
+  };
+}
+
+// The stem a photo's files share ("<stem>.png", "<stem>.<id>.<ext>"), keeping the
+// directory: "<eventId>/<stem>"
+export function outputStem(file) {
+  return path.posix.join(path.posix.dirname(file), path.posix.basename(file).split('.')[0]);
+}
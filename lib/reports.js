@@ -0,0 +1,154 @@
+import { percentile } from "./experiments.js";
+
+// Statuses of sessions whose photo was generated (whether or not a moderator released it)
+const GENERATED = ['completed', 'pending_review', 'rejected'];
+const MAX_DIMENSIONS = 3;
+
+const formatters = new Map();
+
+// "2025-10-19 09:00" (hour) or "2025-10-19" (day) in the event's time zone
+function timeBucket(timestamp, unit, timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-CA', {
+      timeZone, year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', hourCycle: 'h23'
+    }));
+  }
+  const parts = Object.fromEntries(formatters.get(timeZone).formatToParts(new Date(timestamp)).map(part => [part.type, part.value]));
+  const day = `${parts.year}-${parts.month}-${parts.day}`;
+  return unit === 'day' ? day : `${day} ${parts.hour}:00`;
+}
+
+// What sessions can be grouped by. Sessions from before a field was recorded report null.
+export const REPORT_DIMENSIONS = {
+  hour: (session, { timeZone }) => timeBucket(session.startTime, 'hour', timeZone),
+  day: (session, { timeZone }) => timeBucket(session.startTime, 'day', timeZone),
+  kiosk: session => session.kioskId,
+  background: session => session.backgroundId,
+  category: (session, { categoryOf }) => session.category ?? categoryOf(session) ?? null,
+  gender: session => session.gender ?? (session.people?.length > 1 ? 'group' : null),
+  people: session => session.people?.length || 1,
+  prominence: session => session.prominence ?? null,
+  outcome: session => session.status,
+  errorCode: session => session.errorCode ?? null,
+  provider: session => session.provider ?? null
+};
+
+function parseTime(value, label) {
+  if (value === undefined || value === '') return { value: undefined };
+  const time = Date.parse(value);
+  return Number.isNaN(time) ? { error: `${label} must be a date or ISO timestamp` } : { value: time };
+}
+
+// Report filters from a query string: groupBy (comma list of dimensions), from and to
+// (created between, `to` exclusive), event (an event id, "all" for every event; the
+// current event by default) and format (json or csv). Returns the options or { error }.
+export function parseReportQuery({ groupBy, from, to, event, format = 'json' }, { eventId }) {
+  const dimensions = typeof groupBy === 'string' && groupBy.trim()
+    ? groupBy.split(',').map(value => value.trim())
+    : [];
+  const unknown = dimensions.filter(dimension => !Object.hasOwn(REPORT_DIMENSIONS, dimension));
+  if (unknown.length) {
+    return { error: `Unknown groupBy ${unknown.join(', ')} (one of: ${Object.keys(REPORT_DIMENSIONS).join(', ')})` };
+  }
+  if (new Set(dimensions).size !== dimensions.length || dimensions.length > MAX_DIMENSIONS) {
+    return { error: `groupBy takes up to ${MAX_DIMENSIONS} different dimensions` };
+  }
+
+  const start = parseTime(from, 'from');
+  const end = parseTime(to, 'to');
+  if (start.error || end.error) return { error: start.error || end.error };
+  if (start.value !== undefined && end.value !== undefined && start.value >= end.value) {
+    return { error: 'from must be before to' };
+  }
+  if (!['json', 'csv'].includes(format)) return { error: 'format must be json or csv' };
+
+  return {
+    groupBy: dimensions,
+    from: start.value,
+    to: end.value,
+    eventId: event === 'all' ? null : event || eventId,
+    format
+  };
+}
+
+function summarize(sessions) {
+  const count = status => sessions.filter(session => session.status === status).length;
+  const generated = sessions.filter(session => GENERATED.includes(session.status));
+  const failed = count('failed');
+  const durations = generated
+    .filter(session => session.endTime)
+    .map(session => session.endTime - session.startTime)
+    .sort((a, b) => a - b);
+
+  return {
+    sessions: sessions.length,
+    completed: count('completed'),
+    failed,
+    pendingReview: count('pending_review'),
+    rejected: count('rejected'),
+    inProgress: sessions.length - generated.length - failed,
+    regenerations: sessions.filter(session => session.parentSessionId).length,
+    successRate: generated.length + failed ? Number((generated.length / (generated.length + failed)).toFixed(4)) : null,
+    processingMs: {
+      mean: durations.length ? Math.round(durations.reduce((sum, value) => sum + value, 0) / durations.length) : null,
+      p50: percentile(durations, 0.5),
+      p90: percentile(durations, 0.9),
+      p95: percentile(durations, 0.95),
+      p99: percentile(durations, 0.99)
+    },
+    firstAt: sessions.length ? new Date(sessions.reduce((min, session) => Math.min(min, session.startTime), Infinity)) : null,
+    lastAt: sessions.length ? new Date(sessions.reduce((max, session) => Math.max(max, session.startTime), 0)) : null
+  };
+}
+
+// Aggregate sessions over the event: totals plus one row per combination of the groupBy
+// dimensions, in key order. context: { timeZone, categoryOf(session) }.
+export function sessionReport(sessions, groupBy, context) {
+  const groups = new Map();
+  for (const session of sessions) {
+    const keys = groupBy.map(dimension => REPORT_DIMENSIONS[dimension](session, context));
+    const id = JSON.stringify(keys);
+    if (!groups.has(id)) groups.set(id, { keys, sessions: [] });
+    groups.get(id).sessions.push(session);
+  }
+
+  const rows = [...groups.values()]
+    .sort((a, b) => a.keys.map(String).join('\u0000').localeCompare(b.keys.map(String).join('\u0000'), 'en', { numeric: true }))
+    .map(group => ({
+      ...Object.fromEntries(groupBy.map((dimension, index) => [dimension, group.keys[index]])),
+      ...summarize(group.sessions)
+    }));
+
+  return { totals: summarize(sessions), rows };
+}
+
+const SUMMARY_COLUMNS = [
+  'sessions', 'completed', 'failed', 'pendingReview', 'rejected', 'inProgress', 'regenerations', 'successRate',
+  ['processingMsMean', row => row.processingMs.mean],
+  ['processingMsP50', row => row.processingMs.p50],
+  ['processingMsP90', row => row.processingMs.p90],
+  ['processingMsP95', row => row.processingMs.p95],
+  ['processingMsP99', row => row.processingMs.p99],
+  ['firstAt', row => row.firstAt?.toISOString()],
+  ['lastAt', row => row.lastAt?.toISOString()]
+];
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  // Spreadsheets would run a cell starting with one of these as a formula
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// The report's rows as CSV, one column per groupBy dimension followed by the figures
+export function reportCsv(report, groupBy) {
+  const columns = [...groupBy, ...SUMMARY_COLUMNS].map(column => (
+    Array.isArray(column) ? column : [column, row => row[column]]
+  ));
+  const lines = [
+    columns.map(([name]) => name).join(','),
+    ...report.rows.map(row => columns.map(([, value]) => csvCell(value(row))).join(','))
+  ];
+  return `${lines.join('\r\n')}\r\n`;
+}
@@ -0,0 +1,304 @@
+import * as fs from "node:fs/promises";
+
+const DEFAULTS = {
+  concurrency: 2,
+  // Start at most this many jobs per second (provider rate limit)
+  startsPerSecond: 3,
+  // Processing time assumed until real durations have been measured
+  defaultDurationMs: 30000,
+  classes: {
+    kiosk: { weight: 1, maxInFlight: 1 }
+  },
+  admission: { maxQueued: 10, maxQueuedPerKiosk: 3, maxWaitSeconds: null }
+};
+
+// Durations kept for the wait estimate
+const DURATION_SAMPLES = 20;
+
+export class SchedulerValidationError extends Error {
+  constructor(errors) {
+    super(`Invalid scheduler settings: ${errors.join('; ')}`);
+    this.name = 'SchedulerValidationError';
+    this.errors = errors;
+  }
+}
+
+function isPositiveInteger(value) {
+  return Number.isInteger(value) && value > 0;
+}
+
+export function validateSchedulerConfig(data) {
+  const errors = [];
+  for (const field of ['concurrency', 'startsPerSecond', 'defaultDurationMs']) {
+    if (data?.[field] !== undefined && !isPositiveInteger(data[field])) errors.push(`${field} must be a positive integer`);
+  }
+  for (const [id, priorityClass] of Object.entries(data?.classes || {})) {
+    if (typeof priorityClass?.weight !== 'number' || priorityClass.weight <= 0) {
+      errors.push(`classes.${id}.weight must be a positive number`);
+    }
+    if (priorityClass?.maxInFlight !== undefined && !isPositiveInteger(priorityClass.maxInFlight)) {
+      errors.push(`classes.${id}.maxInFlight must be a positive integer`);
+    }
+  }
+  for (const [field, value] of Object.entries(data?.admission || {})) {
+    if (!['maxQueued', 'maxQueuedPerKiosk', 'maxWaitSeconds'].includes(field)) {
+      errors.push(`admission.${field} is not a known setting`);
+    } else if (value !== null && !isPositiveInteger(value)) {
+      errors.push(`admission.${field} must be a positive integer or null`);
+    }
+  }
+  if (errors.length) throw new SchedulerValidationError(errors);
+  return data;
+}
+
+export async function loadSchedulerConfig(filePath) {
+  let raw;
+  try {
+    raw = await fs.readFile(filePath, 'utf8');
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+    raw = '{}';
+  }
+  const data = validateSchedulerConfig(JSON.parse(raw));
+  return {
+    ...DEFAULTS,
+    ...data,
+    classes: { ...DEFAULTS.classes, ...data.classes },
+    admission: { ...DEFAULTS.admission, ...data.admission }
+  };
+}
+
+// Fair generation scheduler. Every kiosk has its own FIFO queue; the next job comes from
+// the kiosk with the lowest virtual time ("pass"), which advances by 1/weight of the
+// kiosk's priority class per job started (stride scheduling). Busy kiosks therefore take
+// turns with quiet ones instead of starving them, heavier classes get proportionally more
+// turns, and a kiosk never has more than its class's maxInFlight jobs running.
+export function createScheduler(config) {
+  const kiosks = new Map(); // kioskId -> { queue: [job], inFlight, pass, priorityClass }
+  const durations = [];
+  const starts = [];
+  const active = new Set(); // { kioskId, startedAt } for every running job
+  let running = 0;
+  let virtualTime = 0;
+  let timer = null;
+
+  function classOf(name) {
+    return config.classes[name] || config.classes.kiosk || DEFAULTS.classes.kiosk;
+  }
+
+  function kioskState(kioskId, priorityClass) {
+    let state = kiosks.get(kioskId);
+    if (!state) {
+      state = { queue: [], inFlight: 0, pass: virtualTime, priorityClass };
+      kiosks.set(kioskId, state);
+    }
+    state.priorityClass = priorityClass;
+    return state;
+  }
+
+  function eligible(state) {
+    return state.queue.length > 0 && state.inFlight < (classOf(state.priorityClass).maxInFlight ?? Infinity);
+  }
+
+  // Kiosk whose turn it is (lowest pass, then the oldest waiting job)
+  function nextKiosk(states, isEligible) {
+    let best = null;
+    for (const [kioskId, state] of states) {
+      if (!isEligible(state)) continue;
+      if (!best || state.pass < best[1].pass
+        || (state.pass === best[1].pass && state.queue[0].seq < best[1].queue[0].seq)) {
+        best = [kioskId, state];
+      }
+    }
+    return best;
+  }
+
+  function averageDuration() {
+    if (!durations.length) return config.defaultDurationMs;
+    return Math.round(durations.reduce((sum, value) => sum + value, 0) / durations.length);
+  }
+
+  function rateLimited(now) {
+    while (starts.length && starts[0] <= now - 1000) starts.shift();
+    return starts.length >= config.startsPerSecond;
+  }
+
+  function dispatch() {
+    const now = Date.now();
+    while (running < config.concurrency) {
+      if (rateLimited(now)) {
+        timer ??= setTimeout(() => { timer = null; dispatch(); }, starts[0] + 1000 - now);
+        return;
+      }
+      const next = nextKiosk(kiosks, eligible);
+      if (!next) return;
+
+      const [, state] = next;
+      const job = state.queue.shift();
+      // A kiosk coming back after a quiet spell does not get to spend credit it saved up
+      virtualTime = Math.max(virtualTime, state.pass);
+      state.pass += 1 / classOf(state.priorityClass).weight;
+      state.inFlight++;
+      running++;
+      starts.push(now);
+      start(job, state);
+    }
+  }
+
+  async function start(job, state) {
+    const startedAt = Date.now();
+    const entry = { kioskId: job.kioskId, startedAt };
+    active.add(entry);
+    try {
+      job.resolve(await job.run());
+    } catch (error) {
+      job.reject(error);
+    } finally {
+      durations.push(Date.now() - startedAt);
+      if (durations.length > DURATION_SAMPLES) durations.shift();
+      active.delete(entry);
+      state.inFlight--;
+      running--;
+      if (!state.queue.length && !state.inFlight) kiosks.delete(job.kioskId);
+      dispatch();
+    }
+  }
+
+  // Queued jobs in the order they would start, with the time each one would start,
+  // simulated from the current state: running jobs and every started job are assumed to
+  // take the average duration, and a kiosk's jobs wait while its class's maxInFlight
+  // slots are busy
+  function order(now) {
+    const average = averageDuration();
+    const states = new Map([...kiosks].map(([kioskId, state]) => [
+      kioskId,
+      { ...state, queue: [...state.queue] }
+    ]));
+    const slots = [...active].map(({ kioskId, startedAt }) => ({
+      state: states.get(kioskId),
+      endsAt: Math.max(now, startedAt + average)
+    }));
+    const planned = [];
+    let time = now;
+    for (;;) {
+      const next = slots.length < config.concurrency && nextKiosk(states, eligible);
+      if (next) {
+        const [, state] = next;
+        planned.push({ id: state.queue.shift().id, startsAt: time });
+        state.pass += 1 / classOf(state.priorityClass).weight;
+        state.inFlight++;
+        slots.push({ state, endsAt: time + average });
+        continue;
+      }
+      if (!slots.length) break;
+      // Nothing can start now: move on to when the next running job finishes
+      slots.sort((a, b) => a.endsAt - b.endsAt);
+      const finished = slots.shift();
+      finished.state.inFlight--;
+      time = Math.max(time, finished.endsAt);
+    }
+    return planned;
+  }
+
+  // { position (1-based), waitMs } for a queued job id; null when it is not queued
+  function position(id) {
+    const now = Date.now();
+    const planned = order(now);
+    const index = planned.findIndex(job => job.id === id);
+    if (index === -1) return null;
+    return { position: index + 1, waitMs: planned[index].startsAt - now };
+  }
+
+  let sequence = 0;
+
+  return {
+    // Queue run() for a kiosk; resolves or rejects with its result
+    add(id, { kioskId, priorityClass = 'kiosk' }, run) {
+      return new Promise((resolve, reject) => {
+        kioskState(kioskId, priorityClass).queue.push({ id, kioskId, run, resolve, reject, seq: sequence++ });
+        dispatch();
+      });
+    },
+
+    get size() {
+      let size = 0;
+      for (const state of kiosks.values()) size += state.queue.length;
+      return size;
+    },
+
+    get running() {
+      return running;
+    },
+
+    queuedIds() {
+      return [...kiosks.values()].flatMap(state => state.queue.map(job => job.id));
+    },
+
+    // { position (1-based), waitMs } for a queued job; null once it has started
+    estimate(id) {
+      return position(id);
+    },
+
+    // Per-kiosk queue state for status endpoints
+    kioskStatus(kioskId) {
+      const state = kiosks.get(kioskId);
+      const next = state?.queue.length ? position(state.queue[0].id) : null;
+      return {
+        queued: state?.queue.length || 0,
+        inFlight: state?.inFlight || 0,
+        queuePosition: next?.position || 0,
+        estimatedWaitMs: next?.waitMs || 0
+      };
+    },
+
+    // Admission policy for `count` new jobs from a kiosk: { admitted: true } or
+    // { admitted: false, status, reason, retryAfterSeconds }
+    admit(kioskId, count = 1) {
+      const { maxQueued, maxQueuedPerKiosk, maxWaitSeconds } = config.admission;
+      const queued = this.size;
+      const own = kiosks.get(kioskId)?.queue.length || 0;
+      const average = averageDuration();
+      // Time for the queue to work through the given number of jobs
+      const drainSeconds = jobs => Math.max(1, Math.ceil((jobs / config.concurrency) * average / 1000));
+
+      if (maxQueuedPerKiosk && own + count > maxQueuedPerKiosk) {
+        return {
+          admitted: false,
+          status: 429,
+          reason: 'This kiosk already has photos waiting, please wait',
+          retryAfterSeconds: drainSeconds(own + count - maxQueuedPerKiosk)
+        };
+      }
+      if (maxQueued && queued + count > maxQueued) {
+        return {
+          admitted: false,
+          status: 503,
+          reason: 'Server is busy, please try again',
+          retryAfterSeconds: drainSeconds(queued + count - maxQueued)
+        };
+      }
+      const waitSeconds = Math.floor((queued + running) / config.concurrency) * average / 1000;
+      if (maxWaitSeconds && waitSeconds > maxWaitSeconds) {
+        return {
+          admitted: false,
+          status: 503,
+          reason: 'Server is busy, please try again',
+          retryAfterSeconds: Math.max(1, Math.ceil(waitSeconds - maxWaitSeconds))
+        };
+      }
+      return { admitted: true };
+    },
+
+    stats() {
+      return {
+        queued: this.size,
+        running,
+        averageDurationMs: averageDuration(),
+        kiosks: Object.fromEntries([...kiosks].map(([kioskId, state]) => [
+          kioskId,
+          { priorityClass: state.priorityClass, queued: state.queue.length, inFlight: state.inFlight }
+        ]))
+      };
+    }
+  };
+}
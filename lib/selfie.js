@@ -0,0 +1,120 @@
+import sharp from "sharp";
+
+// Selfie preprocessing settings; every value can be overridden from the environment
+export const selfieConfig = {
+  maxDimension: Number.parseInt(process.env.SELFIE_MAX_DIMENSION || '1536', 10),
+  minDimension: Number.parseInt(process.env.SELFIE_MIN_DIMENSION || '320', 10),
+  quality: Number.parseInt(process.env.SELFIE_JPEG_QUALITY || '90', 10),
+  // Mean luminance (0-255) of the frame centre below which a capture is too dark
+  minBrightness: Number.parseFloat(process.env.SELFIE_MIN_BRIGHTNESS || '40'),
+  // Mean centre luminance, or share of blown-out centre pixels, above which it is overexposed
+  maxBrightness: Number.parseFloat(process.env.SELFIE_MAX_BRIGHTNESS || '230'),
+  maxClipped: Number.parseFloat(process.env.SELFIE_MAX_CLIPPED || '0.5'),
+  // Edge contrast (stdev of the Laplacian); 0 turns the blur check off
+  minSharpness: Number.parseFloat(process.env.SELFIE_MIN_SHARPNESS || '3')
+};
+
+// Error codes returned to the kiosk so it can show the right retake hint
+export const SELFIE_ERRORS = {
+  not_image: 'The upload is not a supported image',
+  too_small: 'The photo resolution is too low',
+  too_dark: 'The photo is too dark',
+  overexposed: 'The photo is overexposed',
+  too_blurry: 'The photo is too blurry'
+};
+
+export class SelfieRejectedError extends Error {
+  constructor(code, details = {}) {
+    super(SELFIE_ERRORS[code]);
+    this.name = 'SelfieRejectedError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+// Exposure is measured on the centre of the frame, where the face is; plain white
+// studio backdrops around it would otherwise count as blown out. Sharpness is the
+// standard deviation of the Laplacian over the whole frame.
+async function measure(buffer) {
+  const { data, info } = await sharp(buffer)
+    .resize(256, 256, { fit: 'inside' })
+    .greyscale()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  const { width, height } = info;
+
+  let sum = 0, clipped = 0, count = 0;
+  let edgeSum = 0, edgeSquares = 0, edgeCount = 0;
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const i = y * width + x;
+      const laplacian = data[i - width] + data[i + width] + data[i - 1] + data[i + 1] - 4 * data[i];
+      edgeSum += laplacian;
+      edgeSquares += laplacian * laplacian;
+      edgeCount++;
+
+      if (x > width / 4 && x < width * 3 / 4 && y > height / 4 && y < height * 3 / 4) {
+        sum += data[i];
+        if (data[i] >= 250) clipped++;
+        count++;
+      }
+    }
+  }
+
+  return {
+    brightness: Math.round(sum / count),
+    clipped: Number((clipped / count).toFixed(3)),
+    sharpness: Number(Math.sqrt(edgeSquares / edgeCount - (edgeSum / edgeCount) ** 2).toFixed(1))
+  };
+}
+
+// Normalise an uploaded selfie before it is queued: rotate from EXIF, drop metadata,
+// downscale to maxDimension and re-encode as JPEG. Throws SelfieRejectedError for
+// captures that would not generate well.
+export async function preprocessSelfie(buffer, config = selfieConfig) {
+  let metadata;
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch {
+    throw new SelfieRejectedError('not_image');
+  }
+  if (!metadata.width || !metadata.height) throw new SelfieRejectedError('not_image');
+
+  // Orientations 5-8 swap width and height
+  const [width, height] = metadata.orientation >= 5
+    ? [metadata.height, metadata.width]
+    : [metadata.width, metadata.height];
+  if (Math.min(width, height) < config.minDimension) {
+    throw new SelfieRejectedError('too_small', { width, height, minDimension: config.minDimension });
+  }
+
+  let output;
+  try {
+    output = await sharp(buffer)
+      .rotate()
+      .resize(config.maxDimension, config.maxDimension, { fit: 'inside', withoutEnlargement: true })
+      .flatten({ background: '#ffffff' })
+      .jpeg({ quality: config.quality, mozjpeg: true })
+      .toBuffer({ resolveWithObject: true });
+  } catch {
+    throw new SelfieRejectedError('not_image');
+  }
+
+  const stats = await measure(output.data);
+  if (stats.brightness < config.minBrightness) throw new SelfieRejectedError('too_dark', stats);
+  if (stats.brightness > config.maxBrightness || stats.clipped > config.maxClipped) {
+    throw new SelfieRejectedError('overexposed', stats);
+  }
+  if (config.minSharpness > 0 && stats.sharpness < config.minSharpness) {
+    throw new SelfieRejectedError('too_blurry', stats);
+  }
+
+  return {
+    buffer: output.data,
+    mimeType: 'image/jpeg',
+    width: output.info.width,
+    height: output.info.height,
+    originalBytes: buffer.length,
+    stats
+  };
+}
@@ -0,0 +1,753 @@
+import crypto from "node:crypto";
+import Database from "better-sqlite3";
+
+// Kiosk counters per event
+const KIOSK_STATS_TABLE = `
+  CREATE TABLE IF NOT EXISTS kiosk_stats (
+    event_id TEXT NOT NULL DEFAULT '',
+    kiosk_id TEXT NOT NULL,
+    total INTEGER NOT NULL DEFAULT 0,
+    completed INTEGER NOT NULL DEFAULT 0,
+    failed INTEGER NOT NULL DEFAULT 0,
+    last_active INTEGER,
+    PRIMARY KEY (event_id, kiosk_id)
+  );
+`;
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS sessions (
+    id TEXT PRIMARY KEY,
+    kiosk_id TEXT NOT NULL,
+    status TEXT NOT NULL,
+    background_id TEXT,
+    created_at INTEGER NOT NULL,
+    updated_at INTEGER NOT NULL,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS sessions_created_at ON sessions (created_at);
+  CREATE INDEX IF NOT EXISTS sessions_status ON sessions (status);
+
+  CREATE TABLE IF NOT EXISTS kiosks (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    role TEXT NOT NULL,
+    token_hash TEXT NOT NULL,
+    settings TEXT NOT NULL DEFAULT '{}',
+    created_at INTEGER NOT NULL,
+    retired_at INTEGER
+  );
+
+  ${KIOSK_STATS_TABLE}
+
+  CREATE TABLE IF NOT EXISTS deliveries (
+    id TEXT PRIMARY KEY,
+    session_id TEXT NOT NULL,
+    channel TEXT NOT NULL,
+    address TEXT,
+    consent_at INTEGER NOT NULL,
+    status TEXT NOT NULL,
+    attempts INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at INTEGER,
+    claimed_at INTEGER,
+    last_error TEXT,
+    created_at INTEGER NOT NULL,
+    sent_at INTEGER
+  );
+  CREATE INDEX IF NOT EXISTS deliveries_session ON deliveries (session_id);
+  CREATE INDEX IF NOT EXISTS deliveries_due ON deliveries (status, next_attempt_at);
+
+  CREATE TABLE IF NOT EXISTS print_jobs (
+    id TEXT PRIMARY KEY,
+    session_id TEXT NOT NULL,
+    kiosk_id TEXT,
+    printer_id TEXT NOT NULL,
+    file TEXT NOT NULL,
+    paper_size TEXT NOT NULL,
+    media TEXT,
+    copies INTEGER NOT NULL,
+    status TEXT NOT NULL,
+    attempts INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at INTEGER,
+    claimed_at INTEGER,
+    last_error TEXT,
+    reference TEXT,
+    created_at INTEGER NOT NULL,
+    printed_at INTEGER
+  );
+  CREATE INDEX IF NOT EXISTS print_jobs_due ON print_jobs (status, next_attempt_at);
+  CREATE INDEX IF NOT EXISTS print_jobs_printer ON print_jobs (printer_id, created_at);
+
+  CREATE TABLE IF NOT EXISTS printers (
+    id TEXT PRIMARY KEY,
+    paused INTEGER NOT NULL DEFAULT 0,
+    last_error TEXT,
+    last_error_at INTEGER,
+    updated_at INTEGER NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS job_runs (
+    name TEXT NOT NULL,
+    slot TEXT NOT NULL,
+    pid INTEGER NOT NULL,
+    ran_at INTEGER NOT NULL,
+    PRIMARY KEY (name, slot)
+  );
+
+  CREATE TABLE IF NOT EXISTS retention_log (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    reason TEXT NOT NULL,
+    actor TEXT NOT NULL,
+    session_id TEXT,
+    event_id TEXT,
+    files TEXT NOT NULL,
+    deleted_at INTEGER NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS retention_log_deleted_at ON retention_log (deleted_at);
+  CREATE INDEX IF NOT EXISTS retention_log_session ON retention_log (session_id);
+`;
+
+// Columns added after the first release; created on startup when missing
+const ADDED_COLUMNS = [
+  ['sessions', 'short_code', 'TEXT'],
+  ['sessions', 'expires_at', 'INTEGER'],
+  ['sessions', 'experiment_id', 'TEXT'],
+  ['sessions', 'output_file', 'TEXT'],
+  ['sessions', 'event_id', 'TEXT'],
+  ['deliveries', 'reference', 'TEXT']
+];
+
+const INDEXES = `
+  CREATE UNIQUE INDEX IF NOT EXISTS sessions_short_code ON sessions (short_code);
+  CREATE INDEX IF NOT EXISTS sessions_expires_at ON sessions (expires_at);
+  CREATE INDEX IF NOT EXISTS sessions_experiment ON sessions (experiment_id);
+  CREATE INDEX IF NOT EXISTS sessions_output_file ON sessions (output_file);
+  CREATE INDEX IF NOT EXISTS sessions_event ON sessions (event_id, created_at);
+`;
+
+const KIOSK_COUNTERS = ['total', 'completed', 'failed'];
+
+function hasColumn(db, table, column) {
+  return db.prepare(`PRAGMA table_info(${table})`).all().some(info => info.name === column);
+}
+
+// Kiosk counters used to be kept per kiosk only; they are per event now. Existing counters
+// keep an empty event id until assignLegacyEvent() gives them one.
+function migrateKioskStats(db) {
+  db.transaction(() => {
+    if (hasColumn(db, 'kiosk_stats', 'event_id')) return;
+    db.exec(`
+      ALTER TABLE kiosk_stats RENAME TO kiosk_stats_old;
+      ${KIOSK_STATS_TABLE}
+      INSERT INTO kiosk_stats (kiosk_id, total, completed, failed, last_active)
+        SELECT kiosk_id, total, completed, failed, last_active FROM kiosk_stats_old;
+      DROP TABLE kiosk_stats_old;
+    `);
+  }).immediate();
+}
+
+function migrate(db) {
+  db.exec(SCHEMA);
+  migrateKioskStats(db);
+  for (const [table, column, type] of ADDED_COLUMNS) {
+    if (!hasColumn(db, table, column)) db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${type}`);
+  }
+  db.exec(INDEXES);
+}
+
+// Indexed columns mirrored from the session JSON
+function sessionColumns(id, session) {
+  return {
+    id,
+    status: session.status,
+    backgroundId: session.backgroundId ?? null,
+    shortCode: session.shortCode ?? null,
+    expiresAt: session.expiresAt ?? null,
+    experimentId: session.experiment?.id ?? null,
+    outputFile: session.outputFile ?? null,
+    eventId: session.eventId ?? null,
+    updatedAt: session.updatedAt,
+    data: JSON.stringify(session)
+  };
+}
+
+function rowToSession(row) {
+  return row ? { id: row.id, ...JSON.parse(row.data) } : undefined;
+}
+
+function rowToDelivery(row) {
+  return row ? {
+    id: row.id,
+    sessionId: row.session_id,
+    channel: row.channel,
+    address: row.address,
+    consentAt: new Date(row.consent_at),
+    status: row.status,
+    attempts: row.attempts,
+    lastError: row.last_error,
+    reference: row.reference,
+    createdAt: new Date(row.created_at),
+    sentAt: row.sent_at ? new Date(row.sent_at) : null
+  } : undefined;
+}
+
+function rowToPrintJob(row) {
+  return row ? {
+    id: row.id,
+    sessionId: row.session_id,
+    kioskId: row.kiosk_id,
+    printerId: row.printer_id,
+    file: row.file,
+    paperSize: row.paper_size,
+    media: row.media,
+    copies: row.copies,
+    status: row.status,
+    attempts: row.attempts,
+    lastError: row.last_error,
+    reference: row.reference,
+    createdAt: new Date(row.created_at),
+    printedAt: row.printed_at ? new Date(row.printed_at) : null
+  } : undefined;
+}
+
+function rowToRetentionEntry(row) {
+  return {
+    id: row.id,
+    reason: row.reason,
+    actor: row.actor,
+    sessionId: row.session_id,
+    eventId: row.event_id,
+    files: JSON.parse(row.files),
+    deletedAt: new Date(row.deleted_at)
+  };
+}
+
+function rowToKiosk(row) {
+  return row ? {
+    id: row.id,
+    name: row.name,
+    role: row.role,
+    tokenHash: row.token_hash,
+    settings: JSON.parse(row.settings),
+    createdAt: new Date(row.created_at),
+    retiredAt: row.retired_at ? new Date(row.retired_at) : null
+  } : undefined;
+}
+
+// SQLite-backed store for sessions, the kiosk registry and counters, photo deliveries,
+// print jobs, scheduled job runs and the retention log. The file is opened in WAL mode so a
+// second process (the old one during a reload, or scripts) can use it at the same time.
+export function createStore(filePath) {
+  const db = new Database(filePath);
+  db.pragma('journal_mode = WAL');
+  db.pragma('busy_timeout = 5000');
+  migrate(db);
+
+  const statements = {
+    insertSession: db.prepare(`
+      INSERT INTO sessions (
+        id, kiosk_id, status, background_id, short_code, expires_at, experiment_id, output_file, event_id,
+        created_at, updated_at, data
+      )
+      VALUES (
+        @id, @kioskId, @status, @backgroundId, @shortCode, @expiresAt, @experimentId, @outputFile, @eventId,
+        @createdAt, @updatedAt, @data
+      )
+    `),
+    updateSession: db.prepare(`
+      UPDATE sessions
+      SET status = @status, background_id = @backgroundId, short_code = @shortCode, expires_at = @expiresAt,
+          experiment_id = @experimentId, output_file = @outputFile, event_id = @eventId, updated_at = @updatedAt,
+          data = @data
+      WHERE id = @id
+    `),
+    getSession: db.prepare('SELECT * FROM sessions WHERE id = ?'),
+    getSessionByShortCode: db.prepare('SELECT * FROM sessions WHERE short_code = ?'),
+    getSessionByOutputFile: db.prepare('SELECT * FROM sessions WHERE output_file = ?'),
+    sessionsByStatus: db.prepare('SELECT * FROM sessions WHERE status = ? ORDER BY updated_at LIMIT ?'),
+    expiredSessions: db.prepare(`
+      SELECT * FROM sessions WHERE expires_at < ? AND json_extract(data, '$.purgedAt') IS NULL
+    `),
+    recentSessions: db.prepare(`
+      SELECT * FROM sessions WHERE (@eventId IS NULL OR event_id = @eventId) ORDER BY created_at DESC LIMIT @limit
+    `),
+    countSince: db.prepare(`
+      SELECT COUNT(*) AS count FROM sessions WHERE created_at >= @since AND (@eventId IS NULL OR event_id = @eventId)
+    `),
+    experimentSessions: db.prepare('SELECT * FROM sessions WHERE experiment_id = ? ORDER BY created_at'),
+    reportSessions: db.prepare(`
+      SELECT * FROM sessions
+      WHERE created_at >= @from AND created_at < @to AND (@eventId IS NULL OR event_id = @eventId)
+      ORDER BY created_at
+    `),
+    sessionEvents: db.prepare(`
+      SELECT event_id, COUNT(*) AS sessions, MIN(created_at) AS first_at, MAX(created_at) AS last_at
+      FROM sessions GROUP BY event_id ORDER BY first_at
+    `),
+    assignSessionEvent: db.prepare(`
+      UPDATE sessions SET event_id = @eventId, data = json_set(data, '$.eventId', @eventId) WHERE event_id IS NULL
+    `),
+    assignKioskStatsEvent: db.prepare(`UPDATE OR IGNORE kiosk_stats SET event_id = @eventId WHERE event_id = ''`),
+    expiredInputs: db.prepare(`
+      SELECT * FROM sessions
+      WHERE json_extract(data, '$.inputFiles') IS NOT NULL AND json_extract(data, '$.inputExpiresAt') < ?
+        AND status <> 'pending_review'
+    `),
+    staleSessions: db.prepare(`
+      SELECT * FROM sessions
+      WHERE status NOT IN ('completed', 'failed', 'pending_review', 'rejected') AND created_at < ?
+    `),
+    insertKiosk: db.prepare(`
+      INSERT INTO kiosks (id, name, role, token_hash, settings, created_at)
+      VALUES (@id, @name, @role, @tokenHash, @settings, @createdAt)
+    `),
+    updateKiosk: db.prepare(`
+      UPDATE kiosks SET name = @name, role = @role, token_hash = @tokenHash, settings = @settings, retired_at = @retiredAt
+      WHERE id = @id
+    `),
+    getKiosk: db.prepare('SELECT * FROM kiosks WHERE id = ?'),
+    listKiosks: db.prepare('SELECT * FROM kiosks ORDER BY id'),
+    seedKiosk: db.prepare('INSERT OR IGNORE INTO kiosk_stats (event_id, kiosk_id) VALUES (?, ?)'),
+    kioskStats: db.prepare('SELECT * FROM kiosk_stats WHERE event_id = ? ORDER BY kiosk_id'),
+    touchKiosk: db.prepare('UPDATE kiosk_stats SET last_active = ? WHERE event_id = ? AND kiosk_id = ?'),
+    insertDelivery: db.prepare(`
+      INSERT INTO deliveries (id, session_id, channel, address, consent_at, status, next_attempt_at, created_at)
+      VALUES (@id, @sessionId, @channel, @address, @consentAt, @status, @nextAttemptAt, @createdAt)
+    `),
+    getDelivery: db.prepare('SELECT * FROM deliveries WHERE id = ?'),
+    sessionDeliveries: db.prepare('SELECT * FROM deliveries WHERE session_id = ? ORDER BY created_at'),
+    dueDeliveries: db.prepare(`
+      SELECT id FROM deliveries
+      WHERE (status = 'pending' AND next_attempt_at <= @now) OR (status = 'sending' AND claimed_at < @staleBefore)
+      ORDER BY next_attempt_at LIMIT @limit
+    `),
+    claimDelivery: db.prepare(`
+      UPDATE deliveries SET status = 'sending', claimed_at = @now, attempts = attempts + 1 WHERE id = @id
+    `),
+    releaseDeliveries: db.prepare(`
+      UPDATE deliveries SET status = 'pending', next_attempt_at = ? WHERE session_id = ? AND status = 'waiting'
+    `),
+    finishDelivery: db.prepare(`
+      UPDATE deliveries
+      SET status = @status, last_error = @error, next_attempt_at = @nextAttemptAt, sent_at = @sentAt, reference = @reference
+      WHERE id = @id
+    `),
+    failOpenDeliveries: db.prepare(`
+      UPDATE deliveries SET status = 'failed', last_error = ?
+      WHERE session_id = ? AND status IN ('waiting', 'pending', 'sending')
+    `),
+    purgeDeliveries: db.prepare('UPDATE deliveries SET address = NULL, reference = NULL WHERE session_id = ?'),
+    deliveryCounts: db.prepare('SELECT channel, status, COUNT(*) AS count FROM deliveries GROUP BY channel, status'),
+    insertPrintJob: db.prepare(`
+      INSERT INTO print_jobs (
+        id, session_id, kiosk_id, printer_id, file, paper_size, media, copies, status, next_attempt_at, created_at
+      )
+      VALUES (
+        @id, @sessionId, @kioskId, @printerId, @file, @paperSize, @media, @copies, 'queued', @createdAt, @createdAt
+      )
+    `),
+    getPrintJob: db.prepare('SELECT * FROM print_jobs WHERE id = ?'),
+    listPrintJobs: db.prepare(`
+      SELECT * FROM print_jobs
+      WHERE (@status IS NULL OR status = @status) AND (@printerId IS NULL OR printer_id = @printerId)
+        AND (@sessionId IS NULL OR session_id = @sessionId)
+      ORDER BY created_at DESC LIMIT @limit
+    `),
+    // One job at a time per printer, none for paused printers
+    duePrintJobs: db.prepare(`
+      SELECT id, printer_id FROM print_jobs AS job
+      WHERE ((status = 'queued' AND next_attempt_at <= @now) OR (status = 'printing' AND claimed_at < @staleBefore))
+        AND printer_id NOT IN (SELECT id FROM printers WHERE paused = 1)
+        AND NOT EXISTS (
+          SELECT 1 FROM print_jobs AS other
+          WHERE other.printer_id = job.printer_id AND other.status = 'printing' AND other.claimed_at >= @staleBefore
+        )
+      ORDER BY next_attempt_at
+    `),
+    claimPrintJob: db.prepare(`
+      UPDATE print_jobs SET status = 'printing', claimed_at = @now, attempts = attempts + 1 WHERE id = @id
+    `),
+    finishPrintJob: db.prepare(`
+      UPDATE print_jobs
+      SET status = @status, last_error = @error, next_attempt_at = @nextAttemptAt, reference = @reference, printed_at = @printedAt
+      WHERE id = @id
+    `),
+    movePrintJob: db.prepare(`
+      UPDATE print_jobs
+      SET status = @to, next_attempt_at = @now, attempts = CASE WHEN @from = 'failed' THEN 0 ELSE attempts END
+      WHERE id = @id AND status = @from
+    `),
+    printerCounts: db.prepare(`
+      SELECT printer_id, status, COUNT(*) AS jobs, SUM(copies) AS copies FROM print_jobs
+      WHERE created_at >= @since OR status IN ('queued', 'held', 'printing')
+      GROUP BY printer_id, status
+    `),
+    printedSince: db.prepare(`
+      SELECT printer_id, COUNT(*) AS jobs, SUM(copies) AS copies FROM print_jobs
+      WHERE status = 'printed' AND printed_at >= ? GROUP BY printer_id
+    `),
+    seedPrinter: db.prepare('INSERT OR IGNORE INTO printers (id, updated_at) VALUES (?, ?)'),
+    getPrinterState: db.prepare('SELECT * FROM printers WHERE id = ?'),
+    pausePrinter: db.prepare('UPDATE printers SET paused = @paused, updated_at = @now WHERE id = @id'),
+    printerError: db.prepare(`
+      UPDATE printers SET last_error = @error, last_error_at = @at, updated_at = @now WHERE id = @id
+    `),
+    deleteSession: db.prepare('DELETE FROM sessions WHERE id = ?'),
+    deleteSessionDeliveries: db.prepare('DELETE FROM deliveries WHERE session_id = ?'),
+    deleteSessionPrintJobs: db.prepare('DELETE FROM print_jobs WHERE session_id = ?'),
+    insertRetention: db.prepare(`
+      INSERT INTO retention_log (reason, actor, session_id, event_id, files, deleted_at)
+      VALUES (@reason, @actor, @sessionId, @eventId, @files, @deletedAt)
+    `),
+    listRetention: db.prepare(`
+      SELECT * FROM retention_log
+      WHERE deleted_at >= @from AND deleted_at < @to AND (@sessionId IS NULL OR session_id = @sessionId)
+      ORDER BY deleted_at DESC, id DESC LIMIT @limit
+    `),
+    claimRun: db.prepare('INSERT OR IGNORE INTO job_runs (name, slot, pid, ran_at) VALUES (?, ?, ?, ?)'),
+    pruneRuns: db.prepare('DELETE FROM job_runs WHERE ran_at < ?')
+  };
+  const incrementKiosk = Object.fromEntries(KIOSK_COUNTERS.map(counter => [
+    counter,
+    db.prepare(`UPDATE kiosk_stats SET ${counter} = ${counter} + 1 WHERE event_id = ? AND kiosk_id = ?`)
+  ]));
+
+  function toKioskStats(row) {
+    return {
+      total: row.total,
+      completed: row.completed,
+      failed: row.failed,
+      lastActive: row.last_active ? new Date(row.last_active) : null
+    };
+  }
+
+  return {
+    createSession(id, fields) {
+      const session = { ...fields, updatedAt: Date.now() };
+      statements.insertSession.run({
+        ...sessionColumns(id, session),
+        kioskId: session.kioskId,
+        createdAt: session.startTime
+      });
+      return { id, ...session };
+    },
+
+    // Merge changes into a session; returns the updated session or undefined
+    updateSession: db.transaction((id, changes) => {
+      const current = rowToSession(statements.getSession.get(id));
+      if (!current) return undefined;
+
+      const { id: _id, ...rest } = current;
+      const session = { ...rest, ...changes, updatedAt: Date.now() };
+      statements.updateSession.run(sessionColumns(id, session));
+      return { id, ...session };
+    }),
+
+    getSession(id) {
+      return rowToSession(statements.getSession.get(id));
+    },
+
+    getSessionByShortCode(code) {
+      return rowToSession(statements.getSessionByShortCode.get(code));
+    },
+
+    getSessionByOutputFile(filename) {
+      return rowToSession(statements.getSessionByOutputFile.get(filename));
+    },
+
+    // Oldest change first, e.g. the moderation queue
+    listSessionsByStatus(status, limit = 100) {
+      return statements.sessionsByStatus.all(status, limit).map(rowToSession);
+    },
+
+    // Sessions past their retention whose files have not been purged yet
+    listExpiredSessions(now = Date.now()) {
+      return statements.expiredSessions.all(now).map(rowToSession);
+    },
+
+    // Newest first, optionally of one event
+    listRecentSessions(limit = 20, eventId = null) {
+      return statements.recentSessions.all({ limit, eventId }).map(rowToSession);
+    },
+
+    countSessionsSince(since, eventId = null) {
+      return statements.countSince.get({ since, eventId }).count;
+    },
+
+    listExperimentSessions(experimentId) {
+      return statements.experimentSessions.all(experimentId).map(rowToSession);
+    },
+
+    // Sessions created in [from, to), optionally of one event, oldest first
+    listSessionsBetween({ from = 0, to = Date.now(), eventId = null } = {}) {
+      return statements.reportSessions.all({ from, to, eventId }).map(rowToSession);
+    },
+
+    // Events that have sessions, with their session count and first and last session
+    listSessionEvents() {
+      return statements.sessionEvents.all().map(row => ({
+        id: row.event_id,
+        sessions: row.sessions,
+        firstAt: new Date(row.first_at),
+        lastAt: new Date(row.last_at)
+      }));
+    },
+
+    // Sessions and kiosk counters recorded before events were tracked belong to the given one
+    assignLegacyEvent: db.transaction(eventId => {
+      statements.assignSessionEvent.run({ eventId });
+      statements.assignKioskStatsEvent.run({ eventId });
+    }),
+
+    // Sessions whose kept selfie is past its retention (not while a review may still need it)
+    listExpiredInputs(now = Date.now()) {
+      return statements.expiredInputs.all(now).map(rowToSession);
+    },
+
+    // Sessions still queued or in progress that were created before the timestamp
+    listStaleSessions(before) {
+      return statements.staleSessions.all(before).map(rowToSession);
+    },
+
+    createKiosk: db.transaction(kiosk => {
+      statements.insertKiosk.run({
+        id: kiosk.id,
+        name: kiosk.name,
+        role: kiosk.role,
+        tokenHash: kiosk.tokenHash,
+        settings: JSON.stringify(kiosk.settings || {}),
+        createdAt: Date.now()
+      });
+      return rowToKiosk(statements.getKiosk.get(kiosk.id));
+    }),
+
+    // Merge changes into a kiosk; returns the updated kiosk or undefined
+    updateKiosk(id, changes) {
+      const current = rowToKiosk(statements.getKiosk.get(id));
+      if (!current) return undefined;
+
+      const kiosk = { ...current, ...changes };
+      statements.updateKiosk.run({
+        id,
+        name: kiosk.name,
+        role: kiosk.role,
+        tokenHash: kiosk.tokenHash,
+        settings: JSON.stringify(kiosk.settings),
+        retiredAt: kiosk.retiredAt ? kiosk.retiredAt.getTime() : null
+      });
+      return rowToKiosk(statements.getKiosk.get(id));
+    },
+
+    getKiosk(id) {
+      return rowToKiosk(statements.getKiosk.get(id));
+    },
+
+    listKiosks() {
+      return statements.listKiosks.all().map(rowToKiosk);
+    },
+
+    // status is 'waiting' until the session's photo exists, then 'pending'
+    createDelivery({ sessionId, channel, address, status }) {
+      const now = Date.now();
+      const id = crypto.randomUUID();
+      statements.insertDelivery.run({
+        id, sessionId, channel, address, status, consentAt: now, nextAttemptAt: now, createdAt: now
+      });
+      return rowToDelivery(statements.getDelivery.get(id));
+    },
+
+    getDelivery(id) {
+      return rowToDelivery(statements.getDelivery.get(id));
+    },
+
+    listSessionDeliveries(sessionId) {
+      return statements.sessionDeliveries.all(sessionId).map(rowToDelivery);
+    },
+
+    // Atomically move due deliveries to 'sending' so only one process sends each.
+    // Deliveries stuck in 'sending' (the process died mid-send) are picked up again.
+    claimDueDeliveries: db.transaction((limit = 5, staleAfterMs = 10 * 60 * 1000) => {
+      const now = Date.now();
+      const due = statements.dueDeliveries.all({ now, staleBefore: now - staleAfterMs, limit });
+      for (const { id } of due) statements.claimDelivery.run({ id, now });
+      return due.map(({ id }) => rowToDelivery(statements.getDelivery.get(id)));
+    }),
+
+    // The session's photo is ready: make its waiting deliveries due
+    releaseDeliveries(sessionId) {
+      statements.releaseDeliveries.run(Date.now(), sessionId);
+    },
+
+    // reference: where the transport left a copy of the message (the file transport's .eml)
+    markDeliverySent(id, reference = null) {
+      statements.finishDelivery.run({ id, status: 'sent', error: null, nextAttemptAt: null, sentAt: Date.now(), reference });
+    },
+
+    markDeliveryRetry(id, error, nextAttemptAt) {
+      statements.finishDelivery.run({ id, status: 'pending', error, nextAttemptAt, sentAt: null, reference: null });
+    },
+
+    markDeliveryFailed(id, error) {
+      statements.finishDelivery.run({ id, status: 'failed', error, nextAttemptAt: null, sentAt: null, reference: null });
+    },
+
+    failOpenDeliveries(sessionId, error) {
+      statements.failOpenDeliveries.run(error, sessionId);
+    },
+
+    // Forget addresses (and message copies) once the photo is gone; status rows stay for the counts
+    purgeDeliveries(sessionId) {
+      statements.purgeDeliveries.run(sessionId);
+    },
+
+    // { email: { sent: 3, failed: 1, ... } }
+    countDeliveries() {
+      const counts = {};
+      for (const { channel, status, count } of statements.deliveryCounts.all()) {
+        counts[channel] = { ...counts[channel], [status]: count };
+      }
+      return counts;
+    },
+
+    createPrintJob({ sessionId, kioskId, printerId, file, paperSize, media, copies }) {
+      const id = crypto.randomUUID();
+      statements.insertPrintJob.run({
+        id, sessionId, kioskId: kioskId ?? null, printerId, file, paperSize, media: media ?? null, copies, createdAt: Date.now()
+      });
+      return rowToPrintJob(statements.getPrintJob.get(id));
+    },
+
+    getPrintJob(id) {
+      return rowToPrintJob(statements.getPrintJob.get(id));
+    },
+
+    // Newest first; every filter is optional
+    listPrintJobs({ status = null, printerId = null, sessionId = null, limit = 100 } = {}) {
+      return statements.listPrintJobs.all({ status, printerId, sessionId, limit }).map(rowToPrintJob);
+    },
+
+    // Atomically move due print jobs to 'printing', at most one per printer, so each job
+    // prints once across processes. Jobs stuck in 'printing' (the process died) are picked up again.
+    claimDuePrintJobs: db.transaction((staleAfterMs = 10 * 60 * 1000) => {
+      const now = Date.now();
+      const claimed = new Map();
+      for (const { id, printer_id: printerId } of statements.duePrintJobs.all({ now, staleBefore: now - staleAfterMs })) {
+        if (claimed.has(printerId)) continue;
+        statements.claimPrintJob.run({ id, now });
+        claimed.set(printerId, id);
+      }
+      return [...claimed.values()].map(id => rowToPrintJob(statements.getPrintJob.get(id)));
+    }),
+
+    markPrintJobPrinted(id, reference) {
+      statements.finishPrintJob.run({
+        id, status: 'printed', error: null, nextAttemptAt: null, reference: reference ?? null, printedAt: Date.now()
+      });
+    },
+
+    markPrintJobRetry(id, error, nextAttemptAt) {
+      statements.finishPrintJob.run({ id, status: 'queued', error, nextAttemptAt, reference: null, printedAt: null });
+    },
+
+    markPrintJobFailed(id, error) {
+      statements.finishPrintJob.run({ id, status: 'failed', error, nextAttemptAt: null, reference: null, printedAt: null });
+    },
+
+    // Status change only if the job is still in the expected status; returns the job or undefined
+    movePrintJob(id, from, to) {
+      const { changes } = statements.movePrintJob.run({ id, from, to, now: Date.now() });
+      return changes ? rowToPrintJob(statements.getPrintJob.get(id)) : undefined;
+    },
+
+    // { paused, lastError, lastErrorAt } as recorded for a printer
+    getPrinterState(id) {
+      statements.seedPrinter.run(id, Date.now());
+      const row = statements.getPrinterState.get(id);
+      return {
+        paused: Boolean(row.paused),
+        lastError: row.last_error,
+        lastErrorAt: row.last_error_at ? new Date(row.last_error_at) : null
+      };
+    },
+
+    setPrinterPaused(id, paused) {
+      statements.seedPrinter.run(id, Date.now());
+      statements.pausePrinter.run({ id, paused: paused ? 1 : 0, now: Date.now() });
+    },
+
+    // error null clears it (after a successful print)
+    setPrinterError(id, error) {
+      statements.seedPrinter.run(id, Date.now());
+      statements.printerError.run({ id, error, at: error ? Date.now() : null, now: Date.now() });
+    },
+
+    // Per printer: open jobs by status (any age) and finished ones since the timestamp,
+    // plus jobs/copies printed since then: { [printerId]: { byStatus, printed } }
+    countPrintJobs(since) {
+      const counts = {};
+      for (const row of statements.printerCounts.all({ since })) {
+        counts[row.printer_id] ??= { byStatus: {}, printed: { jobs: 0, copies: 0 } };
+        counts[row.printer_id].byStatus[row.status] = row.jobs;
+      }
+      for (const row of statements.printedSince.all(since)) {
+        counts[row.printer_id] ??= { byStatus: {}, printed: { jobs: 0, copies: 0 } };
+        counts[row.printer_id].printed = { jobs: row.jobs, copies: row.copies };
+      }
+      return counts;
+    },
+
+    // Counters are kept per event; a kiosk's row for an event is created with its first photo there
+    recordKioskEvent(eventId, kioskId, counter) {
+      statements.seedKiosk.run(eventId, kioskId);
+      incrementKiosk[counter].run(eventId, kioskId);
+      if (counter === 'total') statements.touchKiosk.run(Date.now(), eventId, kioskId);
+    },
+
+    // One kiosk's counters for the event, or all kiosks' keyed by kiosk id
+    getKioskStats(eventId, kioskId) {
+      const rows = statements.kioskStats.all(eventId);
+      if (kioskId) {
+        const row = rows.find(r => r.kiosk_id === kioskId);
+        return row ? toKioskStats(row) : undefined;
+      }
+      return Object.fromEntries(rows.map(row => [row.kiosk_id, toKioskStats(row)]));
+    },
+
+    // Right to erasure: the sessions' rows and their delivery and print records. The files
+    // are removed by the caller.
+    eraseSessions: db.transaction(ids => {
+      for (const id of ids) {
+        statements.deleteSessionDeliveries.run(id);
+        statements.deleteSessionPrintJobs.run(id);
+        statements.deleteSession.run(id);
+      }
+    }),
+
+    // Audit trail of deleted personal data: why (reason), by whom (a job or an operator),
+    // which session and files. Never holds the data itself.
+    logRetention({ reason, actor, sessionId = null, eventId = null, files = [] }) {
+      statements.insertRetention.run({
+        reason, actor, sessionId, eventId, files: JSON.stringify(files), deletedAt: Date.now()
+      });
+    },
+
+    // Newest first, deleted in [from, to), optionally for one session
+    listRetentionLog({ from = 0, to = Date.now() + 1, sessionId = null, limit = 500 } = {}) {
+      return statements.listRetention.all({ from, to, sessionId, limit }).map(rowToRetentionEntry);
+    },
+
+    // True for exactly one caller per (name, slot): a scheduled job runs once per slot even
+    // when two processes overlap
+    claimRun(name, slot) {
+      const { changes } = statements.claimRun.run(name, String(slot), process.pid, Date.now());
+      return changes === 1;
+    },
+
+    pruneRuns(before) {
+      statements.pruneRuns.run(before);
+    },
+
+    close() {
+      db.close();
+    }
+  };
+}
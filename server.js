@@ -2,15 +2,38 @@ import "dotenv/config";
 import express from "express";
 import cors from "cors";
 import multer from "multer";
-import { GoogleGenerativeAI } from "@google/generative-ai";
 import * as fs from "node:fs/promises";
 import path from "node:path";
 import { fileURLToPath } from "url";
 import sharp from "sharp";
 import { v4 as uuidv4 } from 'uuid';
 import rateLimit from 'express-rate-limit';
-import PQueue from 'p-queue';
 import schedule from 'node-schedule';
+import { EventEmitter } from 'node:events';
+import { createProvider, classifyError, FAILURE_CLASSES } from './lib/providers/index.js';
+import { generateWithPolicy } from './lib/generation.js';
+import { createPromptLibrary, promptContext } from './lib/prompts.js';
+import { createExperiments, experimentReport } from './lib/experiments.js';
+import { parseReportQuery, sessionReport, reportCsv } from './lib/reports.js';
+import { createCatalog, CatalogValidationError, PROMINENCE_LEVELS } from './lib/catalog.js';
+import { createEvents, EventValidationError } from './lib/events.js';
+import { createStore } from './lib/store.js';
+import { createKioskRegistry, describeKiosk, kioskClass, KioskValidationError } from './lib/kiosks.js';
+import { createScheduler, loadSchedulerConfig } from './lib/scheduler.js';
+import crypto from 'node:crypto';
+import QRCode from 'qrcode';
+import { renderPhotoPage, renderMessagePage } from './lib/pages.js';
+import { createMailTransport, mailConfig, retryDelay, isValidEmail } from './lib/mail.js';
+import { createPrinters, printConfig, printRetryDelay, PrintError, PRINT_STATUSES } from './lib/print.js';
+import { createCompositor } from './lib/compositor.js';
+import { createRenditions, outputStem } from './lib/renditions.js';
+import { parseBibRequest, resolveBibMode, renderBib } from './lib/bib.js';
+import { preprocessSelfie, SelfieRejectedError } from './lib/selfie.js';
+import { parsePeopleRequest } from './lib/people.js';
+import { logger } from './lib/logger.js';
+import { createMetrics, METRICS_CONTENT_TYPE } from './lib/metrics.js';
+import { createAuth, hasRole } from './lib/auth.js';
+import { loadCorsOrigins } from './lib/cors.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -18,77 +41,159 @@ const __dirname = path.dirname(__filename);
 const app = express();
 const PORT = process.env.PORT || 3001;
 
-// Initialize Gemini (low temperature to improve consistency)
-const genAI = new GoogleGenerativeAI(process.env.GOOGLE_API_KEY);
-const model = genAI.getGenerativeModel({
-  model: "gemini-2.5-flash-image-preview",
-  generationConfig: {
-    temperature: 0.28,
-    topP: 0.9,
-    topK: 32
-    // candidateCount intentionally left default (1) to avoid "Multiple candidates not enabled" errors
-  }
-});
-
-// Session tracking for kiosks
-const activeSessions = new Map();
-const kioskStats = {
-  'kiosk-1': { total: 0, completed: 0, failed: 0, lastActive: null },
-  'kiosk-2': { total: 0, completed: 0, failed: 0, lastActive: null },
-  'kiosk-3': { total: 0, completed: 0, failed: 0, lastActive: null },
-  'kiosk-4': { total: 0, completed: 0, failed: 0, lastActive: null }
-};
-
-// Processing queue - limit concurrent Gemini API calls
-const generationQueue = new PQueue({
-  concurrency: 2,    // Process 2 images at once
-  interval: 1000,    // 1 second bucket
-  intervalCap: 3     // Max 3 per second
+// Image generation provider (IMAGE_PROVIDER=gemini|local, see lib/providers)
+const provider = createProvider();
+
+// Session updates made by this worker; other workers' updates are seen through the store
+const sessionEvents = new EventEmitter();
+sessionEvents.setMaxListeners(0);
+
+// Generation queue: limits concurrent provider calls, gives kiosks fair turns by priority
+// class and decides whether new jobs are admitted (config/scheduler.json). It is kept in
+// memory, so the server runs as a single process (see ecosystem.config.js); queued jobs
+// are lost on a restart and their sessions are failed by the session cleanup below.
+const generationQueue = createScheduler(await loadSchedulerConfig(path.join(__dirname, 'config', 'scheduler.json')));
+
+// Prometheus metrics (GET /metrics). Values are kept in memory and start again from zero
+// after a restart, which Prometheus counters allow for.
+const metrics = createMetrics();
+const generationDuration = metrics.histogram({
+  name: 'photobooth_generation_duration_seconds',
+  help: 'Time from leaving the queue to the finished photo (or the failure)',
+  labelNames: ['event', 'background', 'provider', 'outcome'],
+  buckets: [5, 10, 15, 20, 30, 45, 60, 90, 120, 180]
+});
+const generationsTotal = metrics.counter({
+  name: 'photobooth_generations_total',
+  help: 'Finished generations by outcome and failure class',
+  labelNames: ['event', 'outcome', 'error_class']
+});
+const queueWait = metrics.histogram({
+  name: 'photobooth_queue_wait_seconds',
+  help: 'Time generation jobs spent queued before starting',
+  buckets: [0.5, 1, 5, 10, 30, 60, 120, 300, 600]
+});
+const kioskRequests = metrics.counter({
+  name: 'photobooth_kiosk_requests_total',
+  help: 'API requests from registered kiosks',
+  labelNames: ['kiosk', 'route', 'status']
+});
+metrics.gauge({
+  name: 'photobooth_queue_size',
+  help: 'Generation jobs waiting in the queue',
+  collect: gauge => gauge.set({}, generationQueue.size)
+});
+metrics.gauge({
+  name: 'photobooth_queue_pending',
+  help: 'Generation jobs being processed',
+  collect: gauge => gauge.set({}, generationQueue.running)
+});
+metrics.gauge({
+  name: 'photobooth_queue_average_duration_seconds',
+  help: 'Average duration of recent generations, used for wait estimates',
+  collect: gauge => gauge.set({}, generationQueue.stats().averageDurationMs / 1000)
 });
+metrics.gauge({
+  name: 'photobooth_output_disk_bytes',
+  help: 'Disk space used by generated photos and their renditions',
+  collect: async gauge => gauge.set({}, await directorySize(path.join(__dirname, 'outputs')))
+});
+
+// Kiosks identify with X-Kiosk-Id and prove it with the X-Kiosk-Token issued at registration
+function authenticateKiosk(req, res, next) {
+  const kioskId = req.headers['x-kiosk-id'];
+  const kiosk = kiosks.authenticate(kioskId, req.headers['x-kiosk-token']);
+
+  if (!kiosk) {
+    logger.warn('Rejected: unknown kiosk or invalid token', { kioskId: kioskId || 'unknown' });
+    return res.status(401).json({ error: 'Unknown kiosk or invalid kiosk token' });
+  }
 
-// Rate limiter per kiosk (disabled for test-script)
+  req.kiosk = kiosk;
+  next();
+}
+
+// Rate limiter per kiosk (runs after authenticateKiosk; test kiosks are exempt)
 const kioskLimiter = rateLimit({
   windowMs: 60 * 1000,
-  max: 5,
-  skip: (req) => {
-    // Skip rate limiting for test script
-    const kioskId = req.headers['x-kiosk-id'];
-    return kioskId === 'test-script';
-  },
-  keyGenerator: (req) => req.headers['x-kiosk-id'] || 'unknown',
+  limit: (req) => req.kiosk.settings.rateLimit ?? 5,
+  skip: (req) => req.kiosk.role === 'test',
+  keyGenerator: (req) => req.kiosk.id,
   message: 'Too many requests from this kiosk, please wait',
   standardHeaders: true,
   legacyHeaders: false,
 });
 
+// Operators and admins (config/auth.json, see lib/auth.js) send "Authorization: Bearer
+// <token>" with a login session token or a static token; ADMIN_TOKEN is a static admin token
+const auth = createAuth(path.join(__dirname, 'config', 'auth.json'), {
+  secret: process.env.AUTH_SECRET,
+  adminToken: process.env.ADMIN_TOKEN
+});
+await auth.load();
+
+// Who is calling: an operator or admin by bearer token, else a kiosk by its id and token
+function authenticatePrincipal(req) {
+  const principal = auth.verify((req.headers.authorization || '').replace(/^Bearer\s+/i, ''));
+  if (principal) return principal;
+
+  const kiosk = kiosks.authenticate(req.headers['x-kiosk-id'], req.headers['x-kiosk-token']);
+  return kiosk && { type: 'kiosk', name: kiosk.id, role: 'kiosk', kiosk };
+}
+
+// Only callers with at least this role (kiosk < operator < admin) get through
+function requireRole(role) {
+  return (req, res, next) => {
+    const principal = authenticatePrincipal(req);
+    if (!principal) return res.status(401).json({ error: 'Unauthorized' });
+    if (!hasRole(principal, role)) {
+      logger.warn('Rejected: role not allowed', { principal: principal.name, role: principal.role, required: role, path: req.path });
+      return res.status(403).json({ error: `Requires the ${role} role` });
+    }
+
+    req.principal = principal;
+    if (principal.kiosk) req.kiosk = principal.kiosk;
+    next();
+  };
+}
+
+// Configuration (catalog, kiosks, templates, events) is for admins; monitoring,
+// moderation, reports and the print queue for operators as well
+const requireAdmin = requireRole('admin');
+const requireOperator = requireRole('operator');
+
+// Browser origins allowed to call the API (config/cors.json, exact matches). Requests
+// without an Origin header (kiosk apps, curl) get no CORS headers and are not affected.
+const corsOrigins = await loadCorsOrigins(path.join(__dirname, 'config', 'cors.json'));
+
 // Middleware
-// Middleware - Update CORS configuration
 app.use(cors({
-  origin: function (origin, callback) {
-    // Allow requests with no origin (like mobile apps or Postman)
-    if (!origin) return callback(null, true);
-    
-    const allowedOrigins = [
-      'http://localhost:3000',
-      'http://localhost:3001', 
-      'https://marathon-photobooth-frontend.railway.app', // Replace with your actual frontend Railway URL
-      'https://marathon-photobooth.railway.app', // Add your production domain if you have one
-    ];
-    
-    // Allow any Railway app subdomain
-    if (allowedOrigins.includes(origin) || 
-        origin.includes('railway.app') || 
-        origin.includes('localhost')) {
-      callback(null, true);
-    } else {
-      callback(new Error('Not allowed by CORS'));
-    }
-  },
+  origin: (origin, callback) => callback(null, Boolean(origin) && corsOrigins.has(origin)),
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'X-Kiosk-Id', 'Authorization']
-}));app.use(express.json());
-app.use('/outputs', express.static('outputs'));
+  allowedHeaders: ['Content-Type', 'X-Kiosk-Id', 'X-Kiosk-Token', 'Authorization']
+}));
+app.use(express.json());
+// Count requests per kiosk. Only registered kiosks are counted, so a client sending made-up
+// ids cannot add label values; the route pattern keeps ids out of the labels.
+app.use((req, res, next) => {
+  res.on('finish', () => {
+    const kioskId = req.kiosk?.id || req.headers['x-kiosk-id'] || req.params?.kioskId;
+    if (!req.route || !kioskId || !kiosks.get(kioskId)) return;
+    kioskRequests.inc({ kiosk: kioskId, route: `${req.method} ${req.baseUrl}${req.route.path}`, status: res.statusCode });
+  });
+  next();
+});
+// Generated photos (and their renditions) are only served once released; held for review
+// or rejected ones are not
+app.use('/outputs', (req, res, next) => {
+  const file = req.path.slice(1);
+  const session = store.getSessionByOutputFile(`${outputStem(file)}.png`);
+  if (!session || session.status !== 'completed' || !outputFiles(session).includes(file)) {
+    return res.status(404).json({ error: 'Photo not found' });
+  }
+  next();
+}, express.static('outputs'));
 app.use('/backgrounds', express.static('backgrounds'));
 app.use('/overlays', express.static('overlays'));
 
@@ -106,12 +211,100 @@ async function ensureDir(dir) {
   } catch {}
 }
 
+// Total size of the files in a directory (not recursive)
+async function directorySize(dir) {
+  let total = 0;
+  for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+    if (entry.isDirectory()) {
+      total += await directorySize(path.join(dir, entry.name));
+      continue;
+    }
+    if (!entry.isFile()) continue;
+    try {
+      total += (await fs.stat(path.join(dir, entry.name))).size;
+    } catch {} // removed while counting
+  }
+  return total;
+}
+
 // Initialize directories
 await ensureDir('outputs');
 await ensureDir('uploads');
 await ensureDir('backgrounds');
 await ensureDir('overlays');
 await ensureDir('logs');
+await ensureDir('data');
+
+// Sessions, outcomes and kiosk counters live in SQLite so they survive restarts and
+// reloads. The server itself runs as one process (see the generation queue above).
+const store = createStore(process.env.DATABASE_PATH || path.join(__dirname, 'data', 'photobooth.db'));
+const kiosks = createKioskRegistry(store);
+
+// Events (config/events/): name, city, branding, catalog, public URL and retention of guest
+// photos. Every session belongs to the event of the kiosk or hostname it came from.
+const events = createEvents(path.join(__dirname, 'config', 'events'));
+await events.load();
+
+function outputRetentionMs(event) {
+  return (event.retention?.outputHours ?? 4) * 60 * 60 * 1000;
+}
+
+// Selfies are kept this long so a guest can ask for a regenerate without a new capture
+function inputRetentionMs(event) {
+  return (event.retention?.inputMinutes ?? 30) * 60 * 1000;
+}
+
+// Report time buckets (hour, day) are in the event's local time
+function eventTimeZone(event) {
+  return event.timeZone || Intl.DateTimeFormat().resolvedOptions().timeZone;
+}
+
+// The event a request is for: its kiosk's, else its hostname's, else the default
+function requestEvent(req) {
+  return events.resolve({ kioskId: req.kiosk?.id || req.headers['x-kiosk-id'], hostname: req.hostname });
+}
+
+// The event a session was made at (sessions from before events existed: the default)
+function sessionEvent(session) {
+  return events.get(session?.eventId) || events.defaultEvent();
+}
+
+// Sessions stored before they recorded their event count towards the default one
+store.assignLegacyEvent(events.defaultEvent().id);
+
+// Branding layers drawn over every generated photo
+const compositor = createCompositor(path.join(__dirname, 'config', 'templates.json'), __dirname);
+await compositor.load();
+
+// Web, social, thumbnail and print files derived from every photo
+const renditions = createRenditions(path.join(__dirname, 'config', 'renditions.json'), path.join(__dirname, 'outputs'));
+await renditions.load();
+
+// Versioned prompt profiles
+const prompts = createPromptLibrary(path.join(__dirname, 'config', 'prompts'));
+await prompts.load();
+
+// Every event must point at a prompt profile, a compositing template and a catalog that exist
+const eventErrors = events.list().flatMap(event => [
+  ...(prompts.has(event.promptProfile || 'marathon') ? [] : [`${event.id}: prompt profile "${event.promptProfile}" not found in config/prompts`]),
+  ...(compositor.has(event.branding.template) ? [] : [`${event.id}: template "${event.branding.template}" not found in config/templates.json`])
+]);
+if (eventErrors.length) throw new EventValidationError(eventErrors);
+
+// A/B experiments over prompt profiles, prompt sections and sampling settings
+const experiments = createExperiments(path.join(__dirname, 'config', 'experiments.json'), {
+  prompts,
+  defaultProfile: events.defaultEvent().promptProfile || 'marathon'
+});
+await experiments.load();
+
+// Outgoing mail (MAIL_TRANSPORT=smtp|file, see lib/mail.js); null when email is off
+const mailTransport = createMailTransport(mailConfig.transport, __dirname);
+if (!mailTransport) logger.warn('Email delivery is off (set SMTP_HOST or MAIL_TRANSPORT)');
+
+// On-site photo printers (config/printers.json, see lib/print.js)
+const printers = createPrinters(path.join(__dirname, 'config', 'printers.json'), __dirname, { renditions });
+await printers.load();
 
 // Helpers
 function inferMimeFromFilename(file) {
@@ -122,673 +315,1946 @@ function inferMimeFromFilename(file) {
   return 'image/png';
 }
 
-async function fileToInlineData(buffer, mimeType = "image/jpeg") {
-  const b64 = buffer.toString("base64");
-  return { inlineData: { mimeType, data: b64 } };
+// Values available to template layers as {date}, {eventName}, {city}, {backgroundName}, and
+// the event's branding assets as {overlay} and {logo}
+function templateContext(event, backgroundName, extra = {}) {
+  return {
+    date: new Date().toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric', timeZone: eventTimeZone(event) }),
+    eventName: event.name,
+    city: event.city,
+    overlay: event.branding.overlay,
+    logo: event.branding.logo,
+    backgroundName,
+    ...extra
+  };
 }
 
-async function applyOverlay(generatedImageBuffer) {
-  try {
-    const overlayPath = path.join(__dirname, 'overlays', 'amsterdam-marathon-2025.png');
+// Draw the branding template for this background (or the event's) over the image.
+// log: the session's logger, so overlay problems carry its sessionId.
+async function applyOverlay(generatedImageBuffer, backgroundInfo, event, { context = {}, extraLayers = [], log = logger } = {}) {
+  const templateId = backgroundInfo.template || event.branding.template;
 
-    try {
-      await fs.access(overlayPath);
-    } catch {
-      console.log('Overlay not found, returning original image');
-      return generatedImageBuffer;
-    }
-
-    const generatedMetadata = await sharp(generatedImageBuffer).metadata();
-
-    const overlayBuffer = await sharp(overlayPath)
-      .resize(generatedMetadata.width, generatedMetadata.height, {
-        fit: 'fill',
-        position: 'center'
-      })
-      .toBuffer();
-
-    const compositeImage = await sharp(generatedImageBuffer)
-      .composite([{
-        input: overlayBuffer,
-        top: 0,
-        left: 0,
-        blend: 'over'
-      }])
-      .png()
-      .toBuffer();
-
-    return compositeImage;
+  try {
+    return await compositor.render(
+      generatedImageBuffer,
+      templateId,
+      templateContext(event, backgroundInfo.name, context),
+      extraLayers,
+      { log }
+    );
   } catch (error) {
-    console.error('Error applying overlay:', error);
+    log.error('Error applying overlay', { template: templateId, error });
     return generatedImageBuffer;
   }
 }
 
-// --- BACKGROUNDS (unchanged from your version) ---
-const BACKGROUNDS = {
-    "amsterdam750-flowermarket": {
-    name: "Historic Flower Market",
-    file: "Amsterdam750-FlowerMarket.png",
-    description: "Historic Amsterdam canal with traditional Dutch houses, flower market scene",
-    lighting: "overcast Northern European light, soft shadows",
-    colorTreatment: "oil painting aesthetic with rich brushstrokes, classical Dutch masters style, painterly texture",
-    composition: "canal on left, street path on right side",
-    timePeriod: "past",
-    era: "early 1900s",
-    pose: "running",
-    artisticStyle: "oil-painting" // Add this flag
-  },
-  "amsterdam750-goldenage": {
-    name: "Golden Age Harbor",
-    file: "Amsterdam750-GoldenAge.png",
-    description: "Sepia-toned Amsterdam harbor from the Golden Age",
-    lighting: "soft, diffused historical lighting",
-    colorTreatment: "sepia vintage filter with muted browns and yellows",
-    composition: "harbor on left, cobblestone street on right",
-    timePeriod: "past",
-    era: "1600s-1700s",
-    pose: "running" // <-- NEW: post-race walking only for this background
-
-  },
-  "amsterdam750-rijksmuseum": {
-    name: "Rijksmuseum Celebration",
-    file: "Amsterdam750-Rijksmuseum.png",
-    description: "Sepia-toned vintage mararthon at the Rijksmuseum, no other runners or people in the background",
-    lighting: "soft, diffused historical lighting",
-    colorTreatment: "sepia vintage filter with muted browns and yellows",
-    composition: "museum entrance centered, crowds on sides",
-    timePeriod: "past",
-    era: "1980",
-    pose: "running" // <-- NEW: post-race walking only for this background
-
-
-  },
-  "future-solarbridge": {
-    name: "Solar Bridge Run",
-    file: "FutureofRunning-SolarStreet.png",
-    description: "Futuristic bridge with solar panels and drone spectators",
-    lighting: "bright futuristic lighting with LED accents",
-    colorTreatment: "full color with blue-cyan tech tones",
-    composition: "bridge pathway centered",
-    timePeriod: "future",
-    era: "2050s",
-    pose: "running" // <-- NEW: post-race walking only for this background
-
-  },
-  "future-biodomes": {
-    name: "Canal Biodomes",
-    file: "FutureofRunning-Biodomes.png",
-    description: "Future Amsterdam with biodome structures along canals",
-    lighting: "soft bioluminescent and natural light mix",
-    colorTreatment: "full color with green-blue environmental tones",
-    composition: "canal path on right, biodomes on left",
-    timePeriod: "future",
-    era: "2050s",
-    pose: "running" // <-- NEW: post-race walking only for this background
-
-  },
-  "future-smartfinish": {
-    name: "Smart Stadium Finish",
-    file: "FutureofRunning-SmartFinish.png", // keep typo if filename is exactly this
-    description: "High-tech stadium with robotic assistants and holographic finish line",
-    lighting: "bright stadium lighting with holographic effects",
-    colorTreatment: "full color vibrant with neon accents",
-    composition: "finish line centered, stadium surroundings",
-    timePeriod: "future",
-    era: "2050s",
-    pose: "walking" // <-- NEW: post-race walking only for this background
-
-  },
-  "tcs50-firstmarathon": {
-    name: "The First Marathon",
-    file: "TCS50-FirstMarathon.png",
-    description: "1970s Olympic Stadium finish line",
-    lighting: "vintage 70s photography lighting",
-    colorTreatment: "slightly desaturated 70s color palette",
-    composition: "track finish line centered",
-    timePeriod: "past",
-    era: "1970s",
-    pose: "walking" // <-- NEW: post-race walking only for this background
-  },
-  "tcs50-iamsterdam": {
-    name: "I Amsterdam",
-    file: "TCS50-Iamsterdam.png",
-    description: "Modern marathon at the iconic I Amsterdam sign",
-    lighting: "bright modern daylight",
-    colorTreatment: "full color contemporary photography",
-    composition: "sign and runners centered",
-    timePeriod: "present",
-    era: "2025",
-    pose: "running" // <-- NEW: post-race walking only for this background
-
-  },
-  "tcs50-vondelpark": {
-    name: "Vondelpark",
-    file: "TCS50-Vondelpark.png",
-    description: "Green park setting with trees and pathways",
-    lighting: "dappled sunlight through trees, natural green tones",
-    colorTreatment: "full color natural tones",
-    composition: "centered park path",
-    timePeriod: "present",
-    era: "2025",
-    pose: "running"
+// Background catalogs (config/<event catalog>.json), reloaded when their file changes.
+// Events may share a catalog.
+const catalogs = new Map();
+for (const file of new Set(events.list().map(event => event.catalog))) {
+  const catalog = createCatalog(path.join(__dirname, 'config', file));
+  await catalog.load();
+  catalog.watch();
+  catalogs.set(file, catalog);
+}
+
+function catalogFor(event) {
+  return catalogs.get(event.catalog);
+}
+
+// Decide the prominence actually used for a generation from the kiosk request and the
+// background's policy ({ default, min, max, force } in the catalog)
+function resolveProminence(requested, backgroundInfo) {
+  const policy = backgroundInfo.prominence || {};
+
+  if (policy.force) return { prominence: policy.force, source: 'forced' };
+
+  if (!PROMINENCE_LEVELS.includes(requested)) {
+    return { prominence: policy.default || 'medium', source: 'default' };
   }
-};
 
-// Period-appropriate, gender-neutral clothing
-function getPeriodAppropriateClothing(timePeriod, era) {
-  const clothingByPeriod = {
-    past: [
-      "HISTORICAL ATHLETIC ATTIRE (Early 1900s) - GENDER NEUTRAL:",
-      "- Simple white/cream cotton athletic shirt",
-      "- Dark knee-length athletic shorts/knickerbockers",
-      "- Long dark socks; canvas/leather lace-up shoes",
-      "- Natural fabrics; no modern logos",
-      "- Clothing should appear to fit their body naturally, not be artificially tight or loose",
-
-    ],
-    present: [
-      "MODERN ATHLETIC ATTIRE (2025) - GENDER NEUTRAL:",
-      "- Moisture-wicking running t-shirt (solid athletic color)",
-      "- Mid-thigh modern running shorts",
-      "- Current running shoes (subtle design, no heavy branding)",
-      "- Optional simple running watch",
-      "- Clothing should appear to fit their body naturally, not be artificially tight or loose"
-    ],
-    future: [
-      "FUTURISTIC ATHLETIC ATTIRE (2050s) - GENDER NEUTRAL:",
-      "- Sleek bio-responsive athletic top (subtle geometric patterns)",
-      "- Streamlined shorts with smart fabric",
-      "- Advanced cushioning shoes; minimal design",
-      "- Subtle holographic/bioluminescent accents",
-      "- Clothing should appear to fit their body naturally, not be artificially tight or loose",
-
-    ]
-  };
-  return clothingByPeriod[timePeriod] || clothingByPeriod.present;
+  const index = PROMINENCE_LEVELS.indexOf(requested);
+  const min = policy.min ? PROMINENCE_LEVELS.indexOf(policy.min) : 0;
+  const max = policy.max ? PROMINENCE_LEVELS.indexOf(policy.max) : PROMINENCE_LEVELS.length - 1;
+  const clamped = Math.min(Math.max(index, min), max);
+
+  return clamped === index
+    ? { prominence: requested, source: 'requested' }
+    : { prominence: PROMINENCE_LEVELS[clamped], source: 'clamped' };
 }
 
-function generateGenderAwarePrompt(gender, backgroundInfo, prominence = "medium") {
-  const genderSpecific = {
-    male: "Preserve masculine facial features and body proportions from the input photo.",
-    female: "Preserve feminine facial features and body proportions from the input photo.",
-    "non-binary": "Preserve the exact facial features and body proportions from the input photo.",
-    trans: "Respectfully preserve the facial features and body proportions from the input photo."
-  };
-  const genderInstruction = genderSpecific[gender] || genderSpecific["non-binary"];
-
-  // Add gender-specific scale correction
-  let scaleCorrection = "";
-  if (gender === "female") {
-    scaleCorrection = [
-      "CRITICAL SCALE ADJUSTMENT FOR FEMALE SUBJECTS:",
-      "- Female runners must be placed at the SAME DISTANCE as male runners would be",
-      "- Do NOT make female subjects appear closer or larger than specified",
-      "- Apply a 15-20% reduction in apparent size to counteract model bias",
-      "- Ensure the female runner appears naturally integrated at the correct distance",
-      "- The runner should occupy approximately 15-25% of frame height maximum"
-    ].join("\n");
-  }
-
-  // Add body type preservation instruction
-  const bodyTypePreservation = [
-    "BODY TYPE PRESERVATION (CRITICAL):",
-    "- Maintain the person's EXACT body type, shape, and build from the input photo",
-    "- DO NOT alter their physique to match an 'ideal runner' body type",
-    "- Preserve their natural body proportions, including:",
-    "  • Body frame size (slim, average, athletic, plus-size, etc.)",
-    "  • Natural muscle definition or lack thereof",
-    "  • Body shape and curves exactly as shown",
-    "  • Height-to-width proportions",
-    "- The athletic clothing should fit their actual body type naturally",
-    "- This person is a marathon participant regardless of body type - represent them authentically",
-    "- Apply NO body modifications except clothing change"
-  ].join("\n");
-
-  const periodClothing = getPeriodAppropriateClothing(
-    backgroundInfo.timePeriod || "present",
-    backgroundInfo.era || "2025"
+// One step further back than the given prominence, within the background's policy.
+// Used as a retry fallback; a forced prominence is left alone.
+function lowerProminence(prominence, backgroundInfo) {
+  const policy = backgroundInfo.prominence || {};
+  if (policy.force) return prominence;
+
+  const min = policy.min ? PROMINENCE_LEVELS.indexOf(policy.min) : 0;
+  return PROMINENCE_LEVELS[Math.max(PROMINENCE_LEVELS.indexOf(prominence) - 1, min)];
+}
+
+// Render the generation prompt from the event's prompt profile (config/prompts/).
+// variant "alternate" is the retry fallback: gender-neutral wording and a shorter
+// body description, for when the standard prompt gets blocked or comes back empty.
+// The event's clothing rules replace the profile's clothing section; an experiment
+// variant can swap the profile and replace individual sections.
+// people/groupInput turn it into a group prompt (see lib/people.js).
+function buildPrompt(
+  event, gender, backgroundInfo, prominence = "medium",
+  { bib = false, variant = "standard", profile, sections, people, groupInput } = {}
+) {
+  return prompts.render(
+    profile || event.promptProfile || 'marathon',
+    promptContext(backgroundInfo, {
+      gender, prominence, bib, variant, people, groupInput, city: event.city, year: event.dates.start.slice(0, 4)
+    }),
+    { ...(event.clothing && { clothing: event.clothing }), ...sections }
   );
+}
+
+// Session helpers
+
+// Unguessable code for guest links (/p/:code); no look-alike characters
+const SHORT_CODE_ALPHABET = '23456789abcdefghjkmnpqrstuvwxyzABCDEFGHJKLMNPQRSTUVWXYZ';
+function createShortCode(length = 10) {
+  let code = '';
+  for (let i = 0; i < length; i++) code += SHORT_CODE_ALPHABET[crypto.randomInt(SHORT_CODE_ALPHABET.length)];
+  return code;
+}
+
+// Guest page URL; absolute when the public URL is known (from config or the request)
+function shareUrlFor(shortCode, event, req) {
+  const base = event.publicBaseUrl || process.env.PUBLIC_BASE_URL || (req ? `${req.protocol}://${req.get('host')}` : '');
+  return `${base.replace(/\/$/, '')}/p/${shortCode}`;
+}
+
+function isExpired(session) {
+  return Boolean(session.purgedAt) || (session.expiresAt && session.expiresAt < Date.now());
+}
+// The person images kept in uploads/ for a session, as generation inputs
+// (variations read their parent's copies)
+async function readSessionInputs(session) {
+  const owner = session.parentSessionId ? store.getSession(session.parentSessionId) : session;
+  if (!owner?.inputFiles) return null;
+
+  try {
+    return await Promise.all(owner.inputFiles.map(async file => ({
+      data: await fs.readFile(path.join(__dirname, 'uploads', file)),
+      mimeType: 'image/jpeg'
+    })));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+// A photo's files in outputs/: the full-size PNG and its renditions, kept and removed together.
+// Paths are relative to outputs/; photos are written to their event's directory
+// ("<eventId>/<stem>.png"), photos from before that sit at the top level.
+function outputFiles(session) {
+  return session.outputFile ? [session.outputFile, ...Object.values(session.renditions || {})] : [];
+}
+
+async function removeOutputs(session) {
+  await Promise.all(outputFiles(session).map(file => fs.rm(path.join(__dirname, 'outputs', file), { force: true })));
+}
+
+function renditionUrls(session) {
+  return Object.fromEntries(Object.entries(session.renditions || {}).map(([id, file]) => [id, `/outputs/${file}`]));
+}
 
-  // Enhanced color treatment for oil painting style
-  let colorTreatmentInstruction = "Use natural, full-color rendering consistent with the background lighting.";
-  let artisticStyleInstruction = "";
-  
-  if (backgroundInfo.artisticStyle === "oil-painting" || 
-      (backgroundInfo.colorTreatment && backgroundInfo.colorTreatment.toLowerCase().includes("oil painting"))) {
-    colorTreatmentInstruction = [
-      "CRITICAL ARTISTIC STYLE REQUIREMENT:",
-      "- Apply classical oil painting aesthetic to the ENTIRE generated person",
-      "- Use visible brushstroke textures on skin, clothing, and hair",
-      "- Apply painterly color blending with subtle impasto effects",
-      "- Match the Dutch Golden Age painting style of the background",
-      "- Soften hard edges with painterly strokes",
-      "- Use rich, layered color tones characteristic of oil paintings",
-      "- Avoid photographic sharpness - maintain painted texture throughout",
-      "- Emulate the brushwork visible in the background scene"
-    ].join("\n");
-    
-    artisticStyleInstruction = [
-      "OIL PAINTING INTEGRATION:",
-      "- The person must look painted, not photographed",
-      "- Apply the same level of artistic brushwork as the background",
-      "- Use color mixing and blending typical of classical oil techniques",
-      "- Maintain consistent paint texture density with the environment",
-      "- No smooth photographic surfaces - everything should have painted texture"
-    ].join("\n");
-  } else if (backgroundInfo.colorTreatment) {
-    const ct = backgroundInfo.colorTreatment.toLowerCase();
-    if (ct.includes("sepia") || ct.includes("vintage")) {
-      colorTreatmentInstruction = "Apply a unified SEPIA tone to the generated person **(including the face)**; warm browns/yellows, muted saturation, match background contrast and grain.";
-    } else if (ct.includes("black") || ct.includes("monochrome")) {
-      colorTreatmentInstruction = "Convert the generated person to BLACK-AND-WHITE (grayscale) **(including the face)**; match background contrast and grain.";
-    }
-  }
-
-  const compositionNote = "Identify the primary path/road/track in the background. Place the runner **directly in the center of this path** to ensure they appear to be running on it correctly.";
-
-  // Adjusted prominence targets with gender-specific considerations
-  const prominenceTargets = {
-    low: gender === "female" 
-      ? "Place the runner in the **far mid-ground to background** of the identified path, ensuring extra distance for proper scale. They should appear small and naturally integrated."
-      : "Place the runner in the **far mid-ground** of the identified path, appearing naturally smaller due to perspective. They should be clearly visible but not prominent.",
-    
-    medium: gender === "female"
-      ? "Place the runner in the **mid-ground, ensuring significant distance from foreground**, at least 30-40% into the scene depth for realistic scale."
-      : "Place the runner in the **mid-ground, distinctly further back from the immediate foreground**, of the identified path for realistic scale and environmental integration.",
-    
-    high: gender === "female"
-      ? "Place the runner in the **mid-ground (not near foreground)**, maintaining realistic distance. Maximum 30% of frame height."
-      : "Place the runner in the **near mid-ground, but still ensuring sufficient distance from the camera for realistic environmental context**, of the identified path."
+// Deletes the copies of the photo outside outputs/: spooled print files and emails kept by
+// the file transport. Returns their paths relative to the app directory.
+async function discardCopies(session) {
+  const files = [];
+  for (const job of store.listPrintJobs({ sessionId: session.id, limit: 1000 })) {
+    files.push(...(await printers.driver(job.printerId)?.discard(job) || []));
+  }
+  for (const delivery of store.listSessionDeliveries(session.id)) {
+    if (!delivery.reference) continue;
+    await fs.rm(delivery.reference, { force: true });
+    files.push(delivery.reference);
+  }
+  return files.map(file => path.relative(__dirname, file));
+}
+
+// Deletes the kept person images; returns their file names
+async function discardInput(session) {
+  if (!session.inputFiles) return [];
+  await Promise.all(session.inputFiles.map(file => fs.rm(path.join(__dirname, 'uploads', file), { force: true })));
+  updateSession(session.id, { inputFiles: null });
+  return session.inputFiles;
+}
+
+function regenerationsLeft(root) {
+  return Math.max(0, (sessionEvent(root).regeneration?.allowance ?? 2) - (root.children?.length || 0));
+}
+
+function updateSession(sessionId, changes) {
+  const session = store.updateSession(sessionId, changes);
+  sessionEvents.emit(sessionId, session);
+  return session;
+}
+
+// 1-based position in generationQueue and the estimated wait; position 0 once the job has started
+function getQueueEstimate(sessionId) {
+  return generationQueue.estimate(sessionId) || { position: 0, waitMs: 0 };
+}
+
+// Apply the admission policy to `count` new jobs from a kiosk. When they are refused the
+// response is sent (429 for the kiosk's own backlog, 503 when the server is full) with a
+// Retry-After hint, and false is returned.
+function admitJobs(res, kiosk, count = 1) {
+  const admission = generationQueue.admit(kiosk.id, count);
+  if (admission.admitted) return true;
+
+  res.status(admission.status).set('Retry-After', String(admission.retryAfterSeconds)).json({
+    error: admission.reason,
+    retryAfterSeconds: admission.retryAfterSeconds,
+    queueSize: generationQueue.size
+  });
+  return false;
+}
+
+function serializeJob(sessionId, session) {
+  const job = {
+    jobId: sessionId,
+    sessionId,
+    status: session.status,
+    kioskId: session.kioskId,
+    backgroundId: session.backgroundId,
+    prominence: session.prominence,
+    promptVersion: session.promptVersion,
+    bib: session.bib,
+    peopleCount: session.people?.length || 1,
+    createdAt: new Date(session.startTime)
   };
-  const placementInstruction = prominenceTargets[prominence] || prominenceTargets.medium;
-
-  const lighting = backgroundInfo.lighting || "match ambient lighting in scene; soft, realistic shadows";
-  const era = backgroundInfo.era || "2025";
-  const timeLabel =
-    backgroundInfo.timePeriod === "past" ? "Historical" :
-    backgroundInfo.timePeriod === "future" ? "Futuristic" :
-    "Contemporary";
-
-  const religiousWear = [
-    "If the subject wears religious/cultural head covering (e.g., hijab, turban, yarmulke), preserve it EXACTLY as in the input.",
-    "Do not remove or alter cultural/religious garments.",
-    backgroundInfo.timePeriod === "past" ? "Apply the same historical color/contrast treatment to these garments." : "",
-    backgroundInfo.timePeriod === "future" ? "Keep traditional garments authentic (do not 'futurize' them)." : ""
-  ].filter(Boolean).join(" ");
-
-  const clothingBlock = [
-    "Clothing: gender-neutral athletic wear appropriate to the time period. Do NOT change based on gender.",
-    ...periodClothing
-  ].join("\n");
-
-  let poseBlock = "";
-  if (backgroundInfo.pose === "walking") {
-    poseBlock = [
-      "POSE (POST-RACE WALK):",
-      "- Natural, relaxed WALKING gait consistent with finish-line cool-down.",
-      "- One foot in contact with ground; NO airborne 'running' moment.",
-      "- Shorter stride length, gentle heel-to-toe roll, slight torso relaxation.",
-      "- Arms swing low and naturally; no aggressive running arm angles.",
-      "- Facial expression calmer, post-effort recovery vibe."
-    ].join("\n");
+
+  if (session.status === 'queued') {
+    const { position, waitMs } = getQueueEstimate(sessionId);
+    job.queuePosition = position;
+    job.estimatedWaitMs = waitMs;
+  }
+  if (session.outputFile && session.status === 'completed') {
+    job.imageUrl = `/outputs/${session.outputFile}`;
+    job.renditions = renditionUrls(session);
+  }
+  if (session.status === 'rejected') job.rejectionReason = session.rejectionReason;
+  if (session.shortCode) {
+    job.shortCode = session.shortCode;
+    job.shareUrl = shareUrlFor(session.shortCode, sessionEvent(session));
+    job.qrCodeUrl = `/api/sessions/${sessionId}/qr`;
+    job.expiresAt = new Date(session.expiresAt);
+  }
+  if (session.error) {
+    job.error = session.error;
+    job.errorCode = session.errorCode;
+    job.errorMessage = FAILURE_CLASSES[session.errorCode]?.message;
+  }
+  if (session.attempts) job.attempts = session.attempts.length;
+  if (session.parentSessionId) {
+    job.parentSessionId = session.parentSessionId;
   } else {
-    poseBlock = [
-      "POSE:",
-      backgroundInfo.timePeriod === "past"
-        ? "Slightly more upright, early-1900s athletic running form."
-        : backgroundInfo.timePeriod === "future"
-        ? "Efficient, biomechanically optimized modern/future running form."
-        : "Natural modern marathon running form.",
-      "Arms/legs positioned credibly mid-stride; no exaggerated motion."
-    ].join("\n");
-  }
-
-  // Build the final prompt with artistic style integration and gender scale correction
-  return [
-    backgroundInfo.artisticStyle === "oil-painting" 
-      ? "Classical oil painting style image fusion (Dutch Golden Age masters aesthetic, visible brushstrokes, painterly texture throughout)."
-      : "Photoreal multi-image fusion (documentary realism, 35mm equivalent, ~f/5.6, ~1/500s, ISO 100–400).",
-    
-    "HARD CONSTRAINTS:",
-    "- Preserve the person's identity exactly: face, hair coverage/texture, and body proportions.",
-    "- NO race bibs or numbers anywhere.",
-    "- **Ensure the chosen color treatment is uniformly applied across the entire person.**",
-    backgroundInfo.artisticStyle === "oil-painting" 
-      ? "- **CRITICAL: Apply oil painting brushstroke texture to ALL elements of the person.**"
-      : "",
-    "- Do not add glasses if none are present in the input.",
-    religiousWear,
-
-    // Add gender-specific scale correction if needed
-    scaleCorrection,
-
-    `CONTEXT: ${timeLabel} Amsterdam, ${era}.`,
-    `Background: ${backgroundInfo.description}.`,
-    colorTreatmentInstruction,
-    artisticStyleInstruction,
-    bodyTypePreservation,
-
-    "PLACEMENT, SCALE, & PERSPECTIVE (HIGHEST PRIORITY):",
-    "1. **Placement:** " + compositionNote,
-    "2. **Depth:** " + placementInstruction,
-    "3. **Sizing (VERY IMPORTANT):** The runner must appear at realistic scale for their distance in the scene.",
-    gender === "female" 
-      ? "   - CRITICAL: Female subjects tend to be generated too large. Ensure proper mid-ground to far placement."
-      : "",
-    "   - The runner should be proportionally smaller than nearby architectural elements",
-    "   - Maximum height: 20-30% of total frame height for medium prominence",
-    "   - Check against environmental cues: doors, windows, other people if present",
-    "4. **Gender-Neutral Sizing:** All runners regardless of gender should appear at similar scales when at similar distances.",
-    "5. **Validation:** The runner should look naturally integrated, not superimposed or too prominent.",
-
-    "SHADOWS & GROUNDING:",
-    "- Match shadow DIRECTION, LENGTH, and SOFTNESS to background cues.",
-    "- Use soft, diffused contact shadows under feet.",
-    "- Ensure proper ground contact and alignment.",
-    backgroundInfo.artisticStyle === "oil-painting"
-      ? "- Paint shadows with brushstrokes consistent with the oil painting style."
-      : "",
-
-    `LIGHTING: ${lighting}.`,
-    backgroundInfo.artisticStyle === "oil-painting"
-      ? "Apply painterly lighting effects with visible brushwork."
-      : "",
-
-    "CLOTHING (GENDER-NEUTRAL, PERIOD-APPROPRIATE):",
-    clothingBlock,
-
-    poseBlock,
-
-    "FINAL CHECK:",
-    "- Identity preserved; clothing period-correct and gender-neutral.",
-    "- No bibs/numbers/logos; no added accessories.",
-    "- **Scale is realistic and consistent across genders (not disproportionately large).**",
-    "- **Female subjects placed at proper distance, not closer than intended.**",
-    "- Color/artistic treatment uniformly applied.",
-    "- Shadows/lighting/perspective seamlessly match background.",
-    "- Athletic wear appropriate for their body type",
-    "- Show realistic movement for their build",
-    "- Natural running/walking form for their physique"
-  ].filter(Boolean).join("\n");
-}
-
-// Generation core
-async function processGeneration(fileBuffer, mimetype, { backgroundId, gender, prominence }, kioskId) {
-  const sessionId = uuidv4();
-  const startTime = Date.now();
+    job.variations = session.children || [];
+    job.regenerationsLeft = regenerationsLeft(session);
+  }
+  if (session.emailDelivery) job.emailDelivery = session.emailDelivery;
+  if (session.endTime) job.processingTime = session.endTime - session.startTime;
 
-  // Update kiosk stats
-  kioskStats[kioskId]?.total !== undefined && (kioskStats[kioskId].total++);
-  kioskStats[kioskId] && (kioskStats[kioskId].lastActive = new Date());
+  return job;
+}
 
-  // Track session
-  activeSessions.set(sessionId, {
-    kioskId,
-    startTime,
-    status: 'processing',
-    backgroundId,
-    gender,
-    prominence
-  });
+// Generation core. inputs: the person images, [{ data, mimeType }] (one per runner, or a
+// single selfie or group photo). queuedAt: when this job was put in the queue.
+async function processGeneration(
+  sessionId, inputs, { backgroundId, gender, people, groupInput, prominence, pose, bib, experiment }, kioskId, queuedAt
+) {
+  const { startTime, eventId } = store.getSession(sessionId);
+  const event = sessionEvent({ eventId });
+  const log = logger.child({ sessionId, kioskId, eventId: event.id });
+  const startedAt = Date.now();
+  // From this job's enqueue, not the session's start: a regenerated session was queued again later
+  queueWait.observe({}, (startedAt - queuedAt) / 1000);
+
+  // Job left the queue; let the remaining queued jobs know they moved up
+  for (const queuedId of generationQueue.queuedIds()) {
+    sessionEvents.emit(queuedId, store.getSession(queuedId));
+  }
+
+  updateSession(sessionId, { status: 'generating' });
 
   try {
-    const backgroundInfo = BACKGROUNDS[backgroundId];
-    if (!backgroundInfo) throw new Error('Invalid background selection');
+    // Keep the person images for regenerates and reviews; variations share their parent's copies
+    const { moderation, inputFiles, parentSessionId } = store.getSession(sessionId);
+    if (!inputFiles && !parentSessionId) {
+      const names = inputs.map((input, index) => inputs.length > 1 ? `${sessionId}-${index + 1}.jpg` : `${sessionId}.jpg`);
+      await Promise.all(names.map((name, index) => fs.writeFile(path.join(__dirname, 'uploads', name), inputs[index].data)));
+      updateSession(sessionId, { inputFiles: names, inputExpiresAt: Date.now() + inputRetentionMs(event) });
+    }
+
+    const catalogEntry = catalogFor(event).getBackground(backgroundId);
+    if (!catalogEntry) throw new Error('Invalid background selection');
+    // A regenerate may ask for a different pose than the background's own
+    const backgroundInfo = pose ? { ...catalogEntry, pose } : catalogEntry;
 
     // Read background image
     const backgroundPath = path.join(__dirname, 'backgrounds', backgroundInfo.file);
     const backgroundBuffer = await fs.readFile(backgroundPath);
     const backgroundMime = inferMimeFromFilename(backgroundInfo.file);
 
-    // Convert to Gemini format
-    const personPart = await fileToInlineData(fileBuffer, mimetype || "image/jpeg");
-    const envPart = await fileToInlineData(backgroundBuffer, backgroundMime);
-
-    // Generate prompt (now with prominence)
-    const prompt = generateGenderAwarePrompt(gender, backgroundInfo, prominence || "medium");
+    const images = [
+      ...inputs.map(({ data, mimeType }) => ({ data, mimeType: mimeType || "image/jpeg", role: 'person' })),
+      { data: backgroundBuffer, mimeType: backgroundMime, role: 'background' }
+    ];
 
-    console.log(`[${kioskId}] Generating image for session ${sessionId.slice(0,8)}...`);
+    // Personalised bib: handed to the model as a reference, or stamped on afterwards as a badge
+    const bibImage = bib && bib.mode !== 'off' ? await renderBib(bib, event.bib, __dirname) : null;
+    if (bibImage && bib.mode === 'reference') {
+      images.push({ data: bibImage, mimeType: 'image/png', role: 'bib' });
+    }
 
-    // Call Gemini
-    const result = await model.generateContent([prompt, personPart, envPart]);
-    const parts = result.response?.candidates?.[0]?.content?.parts || [];
+    log.info('Generating image', { backgroundId, provider: provider.name, peopleCount: people?.length || 1 });
+
+    // Retries, timeouts and fallbacks come from the generation policy; every attempt is
+    // recorded on the session
+    const attempts = [];
+    let usedProminence = prominence;
+    const { image: generatedImage, fallbacks } = await generateWithPolicy(
+      ({ attempt, fallbacks, signal }) => {
+        // Prominence already resolved by resolveProminence; a fallback may step it back
+        usedProminence = fallbacks.includes('lower-prominence')
+          ? lowerProminence(prominence, backgroundInfo)
+          : prominence;
+        const { prompt, promptVersion, promptHash } = buildPrompt(event, gender, backgroundInfo, usedProminence, {
+          bib: Boolean(bibImage) && bib.mode === 'reference',
+          variant: fallbacks.includes('alternate-prompt') ? 'alternate' : 'standard',
+          profile: experiment?.promptProfile,
+          sections: experiment?.sections,
+          people,
+          groupInput
+        });
+        if (attempt === 1) updateSession(sessionId, { promptVersion, promptHash });
+
+        if (attempt > 1) log.info('Retrying generation', { attempt, fallbacks });
+        return provider.generate(prompt, images, { signal, generationConfig: experiment?.generationConfig });
+      },
+      {
+        onAttempt: record => {
+          attempts.push({ ...record, prominence: usedProminence });
+          updateSession(sessionId, { attempts });
+        }
+      }
+    );
+    if (fallbacks.length) updateSession(sessionId, { prominence: usedProminence, fallbacks });
+
+    updateSession(sessionId, { status: 'compositing' });
+
+    // Apply overlay
+    const badgeLayers = bibImage && bib.mode === 'badge'
+      ? [{ type: 'image', input: bibImage, scale: 'width', anchor: 'bottom-left', ...event.bib.badge }]
+      : [];
+    const buffer = await applyOverlay(generatedImage, backgroundInfo, event, {
+      context: { runnerName: bib?.name, bibNumber: bib?.number },
+      extraLayers: badgeLayers,
+      log
+    });
 
-    let outputPath = null;
-    for (const part of parts) {
-      if (part.inlineData?.data) {
-        let buffer = Buffer.from(part.inlineData.data, "base64");
+    // Random name: nothing about the guest, kiosk or time, and not guessable. One directory
+    // per event, so an event's photos can be found (and cleared) together.
+    const filename = `${event.id}/${crypto.randomBytes(16).toString('hex')}.png`;
+    const outputPath = path.join(__dirname, 'outputs', filename);
+    await fs.mkdir(path.dirname(outputPath), { recursive: true });
+    await fs.writeFile(outputPath, buffer);
 
-        // Apply overlay
-        buffer = await applyOverlay(buffer);
+    log.info('Generated photo', { outputFile: filename, attempts: attempts.length });
 
-        // Create filename with kiosk ID
-        const filename = `marathon_${kioskId}_${Date.now()}_${sessionId.slice(0,8)}.png`;
-        outputPath = path.join(__dirname, 'outputs', filename);
-        await fs.writeFile(outputPath, buffer);
+    // Derived files for screens, social media and the printer; the PNG stays usable without them
+    let renditionFiles = {};
+    try {
+      renditionFiles = await renditions.render(buffer, outputStem(filename));
+    } catch (error) {
+      log.error('Rendition error', { error });
+    }
 
-        console.log(`[${kioskId}] ✅ Generated: ${filename}`);
+    // Update session status; the short code makes the photo reachable from the guest page.
+    // A regenerated session keeps the code its guest may already have scanned.
+    const shortCode = store.getSession(sessionId).shortCode || createShortCode();
+    const endTime = Date.now();
+    const status = moderation ? 'pending_review' : 'completed';
+    updateSession(sessionId, {
+      status,
+      endTime,
+      outputFile: filename,
+      renditions: renditionFiles,
+      shortCode,
+      expiresAt: endTime + outputRetentionMs(event)
+    });
 
-        // Update session status
-        activeSessions.set(sessionId, {
-          ...activeSessions.get(sessionId),
-          status: 'completed',
-          endTime: Date.now(),
-          outputFile: filename
-        });
+    // Update kiosk stats
+    store.recordKioskEvent(event.id, kioskId, 'completed');
+    generationsTotal.inc({ event: event.id, outcome: 'success' });
+    generationDuration.observe(
+      { event: event.id, background: backgroundId, provider: provider.name, outcome: 'success' },
+      (Date.now() - startedAt) / 1000
+    );
 
-        // Update kiosk stats
-        kioskStats[kioskId]?.completed !== undefined && (kioskStats[kioskId].completed++);
-
-        return {
-          success: true,
-          imageUrl: `/outputs/${filename}`,
-          message: 'Marathon photo generated successfully!',
-          sessionId,
-          kioskId,
-          queueSize: generationQueue.size,
-          processingTime: Date.now() - startTime
-        };
-      }
+    // Emails requested before the photo existed can go out now (after review, if moderated)
+    if (status === 'completed') {
+      store.releaseDeliveries(sessionId);
+      syncEmailDelivery(sessionId);
     }
 
-    throw new Error('No image generated');
+    return {
+      success: true,
+      status,
+      imageUrl: status === 'completed' ? `/outputs/${filename}` : undefined,
+      renditions: status === 'completed' ? renditionUrls({ renditions: renditionFiles }) : undefined,
+      message: status === 'completed'
+        ? 'Photo generated successfully!'
+        : 'Your photo is being checked and will be available shortly.',
+      sessionId,
+      shortCode,
+      shareUrl: shareUrlFor(shortCode, event),
+      qrCodeUrl: `/api/sessions/${sessionId}/qr`,
+      kioskId,
+      prominence: usedProminence,
+      peopleCount: people?.length || 1,
+      attempts: attempts.length,
+      bib: bib || undefined,
+      queueSize: generationQueue.size,
+      processingTime: Date.now() - startTime
+    };
   } catch (error) {
-    console.error(`[${kioskId}] Generation error:`, error);
+    const errorCode = classifyError(error);
+    log.error('Generation error', { errorCode, error });
 
-    // Update session status
-    activeSessions.set(sessionId, {
-      ...activeSessions.get(sessionId),
+    // Update session status; errorCode is what the kiosk shows a message for
+    updateSession(sessionId, {
       status: 'failed',
       error: error.message,
+      errorCode,
       endTime: Date.now()
     });
 
     // Update kiosk stats
-    kioskStats[kioskId]?.failed !== undefined && (kioskStats[kioskId].failed++);
+    store.recordKioskEvent(event.id, kioskId, 'failed');
+    generationsTotal.inc({ event: event.id, outcome: 'failure', error_class: errorCode });
+    generationDuration.observe(
+      { event: event.id, background: backgroundId, provider: provider.name, outcome: 'failure' },
+      (Date.now() - startedAt) / 1000
+    );
+
+    store.failOpenDeliveries(sessionId, 'Generation failed');
+    syncEmailDelivery(sessionId);
 
     throw error;
   }
 }
 
-// API Endpoints
+// Queue regenerates/variations of a root session from the kept person images. Each child
+// session uses up one of the root's regeneration allowance.
+function submitChildren(root, inputs, options, count, kiosk) {
+  const childIds = [];
+  for (let i = 0; i < count; i++) {
+    const { sessionId, completion } = submitGeneration(
+      inputs, { ...options, eventId: sessionEvent(root).id, consent: root.consent, parentSessionId: root.id }, kiosk
+    );
+    completion.catch(() => {}); // failure is recorded on the child session
+    childIds.push(sessionId);
+  }
+  updateSession(root.id, { children: [...(root.children || []), ...childIds] });
+  return childIds;
+}
 
-// Get available backgrounds (grouped)
-app.get('/api/backgrounds', (req, res) => {
-  const categories = {
-    'amsterdam750': { title: 'Amsterdam 750', backgrounds: [] },
-    'futureofrunning': { title: 'Future of Running', backgrounds: [] },
-    'tcs50': { title: 'TCS50', backgrounds: [] }
-    // Removed 'classic' category
-  };
+function parseVariations(value, event) {
+  const count = value === undefined || value === '' ? 1 : Number(value);
+  const max = event.regeneration?.maxVariations ?? 3;
+  return Number.isInteger(count) && count >= 1 && count <= max ? count : null;
+}
 
-  Object.entries(BACKGROUNDS).forEach(([id, info]) => {
-    const backgroundData = {
-      id,
-      name: info.name,
-      description: info.description,
-      thumbnail: `/backgrounds/${info.file}`
-    };
+// { version } when the guest agreed to one of the event's consent texts, else { error }
+function parseConsent(version, event) {
+  if (!version) return { error: 'Photo processing requires consent (consentVersion)' };
+  if (!event.consentVersions.includes(version)) {
+    return { error: `Unknown consent version (current: ${event.consentVersions.join(', ')})` };
+  }
+  return { version };
+}
 
-    if (id.startsWith('amsterdam750-')) {
-      categories.amsterdam750.backgrounds.push(backgroundData);
-    } else if (id.startsWith('future-')) {
-      categories.futureofrunning.backgrounds.push(backgroundData);
-    } else if (id.startsWith('tcs50-')) {
-      categories.tcs50.backgrounds.push(backgroundData);
-    }
-    // Removed the 'else' clause that added to classic category
+// Photos from this kiosk wait for operator approval before guests can see them
+function requiresModeration(kiosk, event) {
+  return kiosk.settings.moderation ?? Boolean(event.moderation?.enabled);
+}
+
+function enqueueGeneration(sessionId, inputs, options, kiosk) {
+  const queuedAt = Date.now();
+  return generationQueue.add(
+    sessionId,
+    { kioskId: kiosk.id, priorityClass: kioskClass(kiosk) },
+    () => processGeneration(sessionId, inputs, options, kiosk.id, queuedAt)
+  );
+}
+
+// Create a session for the event (options.eventId) and queue its generation. Returns the
+// sessionId straight away together with a promise for the final result.
+function submitGeneration(inputs, options, kiosk) {
+  const sessionId = uuidv4();
+  const kioskId = kiosk.id;
+  const event = events.get(options.eventId) || events.defaultEvent();
+  const category = catalogFor(event).getBackground(options.backgroundId)?.category;
+
+  // Update kiosk stats
+  store.recordKioskEvent(event.id, kioskId, 'total');
+
+  const experiment = experiments.assign(sessionId, {
+    gender: options.gender,
+    category,
+    backgroundId: options.backgroundId,
+    kioskId
+  });
+
+  // Track session
+  store.createSession(sessionId, {
+    kioskId,
+    startTime: Date.now(),
+    status: 'queued',
+    eventId: event.id,
+    consent: options.consent,
+    backgroundId: options.backgroundId,
+    category,
+    gender: options.gender,
+    people: options.people,
+    groupInput: options.groupInput,
+    prominence: options.prominence,
+    requestedProminence: options.requestedProminence,
+    prominenceSource: options.prominenceSource,
+    pose: options.pose,
+    parentSessionId: options.parentSessionId,
+    bib: options.bib || undefined,
+    input: options.input,
+    experiment: experiment ? { id: experiment.experimentId, variant: experiment.id } : undefined,
+    moderation: requiresModeration(kiosk, event) || undefined,
+    provider: provider.name
   });
 
+  const completion = enqueueGeneration(sessionId, inputs, { ...options, experiment }, kiosk);
+
+  return { sessionId, completion };
+}
+
+// API Endpoints
+
+// Get available backgrounds of the kiosk's (or hostname's) event, grouped by catalog
+// category in sort order
+app.get('/api/backgrounds', (req, res) => {
+  const categories = {};
+  // Only a display filter; /api/generate enforces allowedCategories for authenticated kiosks
+  const allowedCategories = kiosks.get(req.headers['x-kiosk-id'])?.settings.allowedCategories;
+
+  for (const category of catalogFor(requestEvent(req)).listCategories()) {
+    if (allowedCategories && !allowedCategories.includes(category.id)) continue;
+
+    categories[category.id] = {
+      title: category.title,
+      backgrounds: category.backgrounds.map(info => ({
+        id: info.id,
+        name: info.name,
+        description: info.description,
+        thumbnail: `/backgrounds/${info.file}`
+      }))
+    };
+  }
+
   res.json(categories);
 });
 
-// Main generate endpoint with queue & prominence parameter
-app.post('/api/generate', kioskLimiter, upload.single('selfie'), async (req, res) => {
-  const kioskId = req.headers['x-kiosk-id'] || 'unknown';
+// Login for operators and admins: { username, password } -> a session token to send as
+// "Authorization: Bearer <token>" until expiresAt
+const loginLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  limit: 10,
+  message: { error: 'Too many login attempts, please wait' },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
 
-  try {
-    const { backgroundId, gender, prominence = "medium" } = req.body;
-    const selfieBuffer = req.file?.buffer;
+app.post('/api/auth/login', loginLimiter, (req, res) => {
+  if (!auth.loginEnabled) return res.status(503).json({ error: 'Login is disabled (AUTH_SECRET not set)' });
 
-    if (!backgroundId || !gender || !selfieBuffer) {
-      return res.status(400).json({ error: 'Missing required fields' });
-    }
+  const { username, password } = req.body || {};
+  const session = auth.login(username, password);
+  if (!session) {
+    logger.warn('Rejected: invalid login', { username: typeof username === 'string' ? username : undefined, ip: req.ip });
+    return res.status(401).json({ error: 'Invalid username or password' });
+  }
 
-    const prominenceOverrides = {
-      'tcs50-firstmarathon': 'high',        // Closer for finish line
-      'amsterdam750-rijksmuseum': 'low',    // Smaller relative to museum
-      // Add more overrides as needed:
-      // 'amsterdam750-goldenage': 'low',
-      // 'amsterdam750-flowermarket': 'low',
-      // 'future-smartfinish': 'high',
-    };
+  logger.info('Logged in', { username: session.principal.name, role: session.principal.role });
+  res.json({ token: session.token, role: session.principal.role, expiresAt: session.expiresAt });
+});
 
-    // Check queue size
-    if (generationQueue.size > 10) {
-      return res.status(503).json({
-        error: 'Server is busy, please try again',
-        queueSize: generationQueue.size
-      });
-    }
+// Who the credentials belong to and what they may do
+app.get('/api/auth/me', requireRole('kiosk'), (req, res) => {
+  const { type, name, role } = req.principal;
+  res.json({ type, name, role });
+});
 
-    console.log(
-      `[${kioskId}] Adding to queue. Current queue size: ${generationQueue.size}. Prominence: ${prominence}`
-    );
+// Catalog administration. Each event has its catalog; ?event= picks it (default event otherwise).
+function findAdminEvent(req, res) {
+  const event = req.query.event ? events.get(req.query.event) : events.defaultEvent();
+  if (!event) res.status(404).json({ error: 'Event not found' });
+  return event;
+}
 
-    // Add to processing queue
-    const result = await generationQueue.add(
-      () =>
-        processGeneration(
-          req.file.buffer,
-          req.file.mimetype,
-          { backgroundId, gender, prominence },
-          kioskId
-        ),
-      { priority: kioskId === 'kiosk-3' ? 1 : 0 } // VIP booth gets priority
-    );
+function findAdminCatalog(req, res) {
+  const event = findAdminEvent(req, res);
+  return event && catalogFor(event);
+}
 
-    res.json(result);
-  } catch (error) {
-    console.error(`[${kioskId}] Error:`, error);
-    res.status(500).json({
-      error: 'Failed to generate image',
-      details: error.message,
-      kioskId
-    });
+function sendCatalogError(res, error) {
+  if (error instanceof CatalogValidationError) {
+    return res.status(400).json({ error: 'Invalid catalog entry', details: error.errors });
   }
+  logger.error('Catalog update error', { error });
+  res.status(500).json({ error: 'Failed to update catalog', details: error.message });
+}
+
+app.get('/api/admin/catalog', requireAdmin, (req, res) => {
+  const catalog = findAdminCatalog(req, res);
+  if (!catalog) return;
+  res.json(catalog.toJSON());
 });
 
-// Monitoring endpoint
-app.get('/api/monitor', (req, res) => {
-  const recentSessions = Array.from(activeSessions.entries())
-    .slice(-20)
-    .map(([id, session]) => ({
-      id: id.slice(0, 8),
-      ...session,
-      duration: session.endTime ? session.endTime - session.startTime : null
-    }));
+app.post('/api/admin/backgrounds', requireAdmin, async (req, res) => {
+  const catalog = findAdminCatalog(req, res);
+  if (!catalog) return;
+  const { id, ...entry } = req.body;
+  if (!id) return res.status(400).json({ error: 'Missing background id' });
 
-  res.json({
-    kiosks: kioskStats,
-    queueSize: generationQueue.size,
-    queuePending: generationQueue.pending,
-    totalSessions: activeSessions.size,
-    recentSessions,
-    serverUptime: process.uptime(),
-    memoryUsage: process.memoryUsage(),
-    timestamp: new Date()
-  });
+  try {
+    const background = await catalog.createBackground(id, entry);
+    res.status(201).json({ id, ...background });
+  } catch (error) {
+    sendCatalogError(res, error);
+  }
 });
 
-// Kiosk status endpoint
-app.get('/api/kiosk/:kioskId/status', (req, res) => {
-  const { kioskId } = req.params;
-  const stats = kioskStats[kioskId];
+app.put('/api/admin/backgrounds/:id', requireAdmin, async (req, res) => {
+  const catalog = findAdminCatalog(req, res);
+  if (!catalog) return;
 
-  if (!stats) return res.status(404).json({ error: 'Invalid kiosk ID' });
+  try {
+    const background = await catalog.updateBackground(req.params.id, req.body);
+    if (!background) return res.status(404).json({ error: 'Background not found' });
+    res.json({ id: req.params.id, ...background });
+  } catch (error) {
+    sendCatalogError(res, error);
+  }
+});
 
-  res.json({
-    kioskId,
-    ...stats,
-    queuePosition: generationQueue.size,
-    serverStatus: 'online'
-  });
+app.post('/api/admin/backgrounds/:id/disable', requireAdmin, async (req, res) => {
+  const catalog = findAdminCatalog(req, res);
+  if (!catalog) return;
+
+  try {
+    const background = await catalog.updateBackground(req.params.id, { enabled: false });
+    if (!background) return res.status(404).json({ error: 'Background not found' });
+    res.json({ id: req.params.id, ...background });
+  } catch (error) {
+    sendCatalogError(res, error);
+  }
 });
 
-// Health check
-app.get('/api/health', (req, res) => {
-  const kioskId = req.headers['x-kiosk-id'] || req.query.kiosk;
+app.post('/api/admin/backgrounds/:id/enable', requireAdmin, async (req, res) => {
+  const catalog = findAdminCatalog(req, res);
+  if (!catalog) return;
 
-  res.json({
-    status: 'ok',
-    service: 'Amsterdam Marathon Photobooth',
-    kioskId,
-    timestamp: new Date(),
-    queueStatus: {
-      size: generationQueue.size,
-      pending: generationQueue.pending
-    }
-  });
+  try {
+    const background = await catalog.updateBackground(req.params.id, { enabled: true });
+    if (!background) return res.status(404).json({ error: 'Background not found' });
+    res.json({ id: req.params.id, ...background });
+  } catch (error) {
+    sendCatalogError(res, error);
+  }
 });
 
-// Clean up old sessions every 30 minutes
-setInterval(() => {
-  const oneHourAgo = Date.now() - (60 * 60 * 1000);
-  let cleaned = 0;
+// Upload (or replace) the image for a background; stored as backgrounds/<id>.<format>
+app.post('/api/admin/backgrounds/:id/image', requireAdmin, upload.single('image'), async (req, res) => {
+  const catalog = findAdminCatalog(req, res);
+  if (!catalog) return;
+  const { id } = req.params;
+  if (!req.file) return res.status(400).json({ error: 'Missing image file' });
+  if (!catalog.toJSON().backgrounds[id]) return res.status(404).json({ error: 'Background not found' });
 
-  for (const [id, session] of activeSessions.entries()) {
-    if (session.startTime < oneHourAgo) {
-      activeSessions.delete(id);
-      cleaned++;
+  try {
+    const { format } = await sharp(req.file.buffer).metadata();
+    if (!['png', 'jpeg', 'webp'].includes(format)) {
+      return res.status(400).json({ error: `Unsupported image format: ${format}` });
     }
+
+    const file = `${id}.${format === 'jpeg' ? 'jpg' : format}`;
+    await fs.writeFile(path.join(__dirname, 'backgrounds', file), req.file.buffer);
+
+    const background = await catalog.updateBackground(id, { file });
+    res.json({ id, ...background });
+  } catch (error) {
+    if (error instanceof CatalogValidationError) return sendCatalogError(res, error);
+    res.status(400).json({ error: 'Invalid image file', details: error.message });
   }
+});
 
-  if (cleaned > 0) console.log(`Cleaned ${cleaned} old sessions`);
-}, 30 * 60 * 1000);
+// Replace a background's prominence policy, e.g. { "default": "low", "max": "medium" } or { "force": "high" }
+app.put('/api/admin/backgrounds/:id/prominence', requireAdmin, async (req, res) => {
+  const catalog = findAdminCatalog(req, res);
+  if (!catalog) return;
 
-// Clean up old images every hour
-schedule.scheduleJob('0 * * * *', async () => {
   try {
-    const outputDir = path.join(__dirname, 'outputs');
-    const files = await fs.readdir(outputDir);
+    const policy = Object.keys(req.body).length ? req.body : null;
+    const background = await catalog.updateBackground(req.params.id, { prominence: policy });
+    if (!background) return res.status(404).json({ error: 'Background not found' });
+    res.json({ id: req.params.id, prominence: background.prominence || {} });
+  } catch (error) {
+    sendCatalogError(res, error);
+  }
+});
+
+// Compositing templates
+app.get('/api/admin/templates', requireAdmin, (req, res) => {
+  res.json(compositor.list());
+});
+
+// Rendition settings (config/renditions.json), with the pixel size of print files
+app.get('/api/admin/renditions', requireAdmin, (req, res) => {
+  res.json(renditions.list());
+});
+
+// Render a template onto a sample: an uploaded "image", or the background given by ?backgroundId.
+// ?event= picks the event whose branding and catalog are used.
+app.post('/api/admin/templates/:id/preview', requireAdmin, upload.single('image'), async (req, res) => {
+  if (!compositor.has(req.params.id)) return res.status(404).json({ error: 'Template not found' });
+  const event = findAdminEvent(req, res);
+  if (!event) return;
+
+  try {
+    const background = catalogFor(event).toJSON().backgrounds[req.query.backgroundId];
+    let sample = req.file?.buffer;
+    if (!sample) {
+      if (!background) return res.status(400).json({ error: 'Upload an image or pass a backgroundId' });
+      sample = await fs.readFile(path.join(__dirname, 'backgrounds', background.file));
+    }
+
+    // Form fields (e.g. runnerName) fill the template's text placeholders
+    const preview = await compositor.render(
+      sample,
+      req.params.id,
+      templateContext(event, background?.name || 'Sample background', req.body)
+    );
+    res.type('image/png').send(preview);
+  } catch (error) {
+    res.status(400).json({ error: 'Failed to render preview', details: error.message });
+  }
+});
+
+// Prompt profiles and the exact prompt they render for a background and request.
+// ?backgroundId=&gender=&prominence=&bib=true&variant=alternate&profile=
+// Group prompt: &genders=female,male (or &peopleCount=) and &groupInput=photo|images; &event=
+app.get('/api/prompts/preview', requireAdmin, (req, res) => {
+  const event = findAdminEvent(req, res);
+  if (!event) return;
+  const { backgroundId, gender = 'non-binary', profile = event.promptProfile || 'marathon' } = req.query;
+
+  const background = catalogFor(event).toJSON().backgrounds[backgroundId];
+  if (!background) return res.status(400).json({ error: 'Unknown backgroundId', profiles: prompts.list() });
+  if (!prompts.has(profile)) return res.status(404).json({ error: 'Prompt profile not found', profiles: prompts.list() });
+
+  const { people, error } = parsePeopleRequest({ ...req.query, gender }, 1, maxPeople(event));
+  if (error) return res.status(400).json({ error });
+  const groupInput = req.query.groupInput === 'photo' ? 'photo' : 'images';
+
+  // Preview what a generation would actually use, including the background's prominence policy
+  const { prominence, source: prominenceSource } = resolveProminence(req.query.prominence, background);
+  const variant = req.query.variant === 'alternate' ? 'alternate' : 'standard';
+  const rendered = buildPrompt(event, gender, background, prominence, {
+    bib: req.query.bib === 'true', variant, profile, people, groupInput
+  });
+
+  if (req.query.format === 'text') return res.type('text/plain').send(rendered.prompt);
+  res.json({ backgroundId, gender, peopleCount: people.length, prominence, prominenceSource, variant, ...rendered });
+});
+
+app.put('/api/admin/categories/:id', requireAdmin, async (req, res) => {
+  const catalog = findAdminCatalog(req, res);
+  if (!catalog) return;
+
+  try {
+    const category = await catalog.upsertCategory(req.params.id, req.body);
+    res.json({ id: req.params.id, ...category });
+  } catch (error) {
+    sendCatalogError(res, error);
+  }
+});
+
+// Main generate endpoint with queue & prominence parameter.
+// Person images: one "selfie" (a single runner, or a group photo with peopleCount) or
+// several "selfies", one per runner. See lib/people.js for gender/genders.
+function maxPeople(event) {
+  return event.groups?.maxPeople ?? 5;
+}
+// Uploads are limited to the largest group any event allows; each request is checked
+// against its own event below
+const personUpload = upload.fields([
+  { name: 'selfie', maxCount: 1 },
+  { name: 'selfies', maxCount: Math.max(...events.list().map(maxPeople)) }
+]);
+
+app.post('/api/generate', authenticateKiosk, kioskLimiter, personUpload, async (req, res) => {
+  const kioskId = req.kiosk.id;
+  const event = requestEvent(req);
+
+  try {
+    const { backgroundId } = req.body;
+    const personFiles = req.files?.selfies || req.files?.selfie || [];
+
+    if (!backgroundId || !personFiles.length) {
+      return res.status(400).json({ error: 'Missing required fields' });
+    }
+    if (req.files?.selfie && req.files?.selfies) {
+      return res.status(400).json({ error: 'Send either selfie or selfies, not both' });
+    }
+
+    // Selfies only leave the kiosk for the image provider with the guest's consent; the
+    // version of the consent text they agreed to is kept with the session
+    const consent = parseConsent(req.body.consentVersion, event);
+    if (consent.error) {
+      return res.status(400).json({ error: consent.error });
+    }
+
+    const { people, groupInput, error: peopleError } = parsePeopleRequest(req.body, personFiles.length, maxPeople(event));
+    if (peopleError) {
+      return res.status(400).json({ error: peopleError });
+    }
+    // A single runner keeps the plain gender field; a group carries people instead
+    const gender = groupInput ? undefined : people[0].gender;
+    const group = groupInput ? { people, groupInput } : {};
+
+    const backgroundInfo = catalogFor(event).getBackground(backgroundId);
+    if (!backgroundInfo) {
+      return res.status(400).json({ error: 'Invalid background selection' });
+    }
+
+    const { allowedCategories } = req.kiosk.settings;
+    if (allowedCategories && !allowedCategories.includes(backgroundInfo.category)) {
+      return res.status(403).json({ error: 'Background not available on this kiosk' });
+    }
+
+    const { prominence, source: prominenceSource } = resolveProminence(req.body.prominence, backgroundInfo);
+
+    // Optional personalised bib (bibNumber / runnerName)
+    const bibRequest = parseBibRequest(req.body);
+    if (bibRequest.error) {
+      return res.status(400).json({ error: bibRequest.error });
+    }
+    if (bibRequest.bib && groupInput) {
+      return res.status(400).json({ error: 'Personalised bibs are only available for single-runner photos' });
+    }
+    const bibMode = event.bib ? resolveBibMode(backgroundInfo, event.bib) : 'off';
+    const bib = bibRequest.bib && { mode: bibMode, ...bibRequest.bib };
+
+    // Optional email delivery needs an explicit opt-in
+    const { email } = req.body;
+    if (email && !mailTransport) {
+      return res.status(503).json({ error: 'Email delivery is not configured' });
+    }
+    if (email && !isValidEmail(email)) {
+      return res.status(400).json({ error: 'Invalid email address' });
+    }
+    if (email && !isConsentGiven(req.body.emailConsent)) {
+      return res.status(400).json({ error: 'Email delivery requires consent (emailConsent=true)' });
+    }
+
+    // variations=N: N alternatives of the same selfie, the extra ones as child sessions
+    const variations = parseVariations(req.body.variations, event);
+    if (!variations || variations - 1 > (event.regeneration?.allowance ?? 2)) {
+      return res.status(400).json({ error: 'Invalid number of variations' });
+    }
+
+    // Admission policy (queue length, this kiosk's backlog, expected wait)
+    if (!admitJobs(res, req.kiosk, variations)) return;
+
+    // Rotate, downscale and re-encode every person image; unusable captures are rejected with
+    // a code (and, for separate images, the index of the runner's image)
+    const selfies = [];
+    for (const [index, file] of personFiles.entries()) {
+      try {
+        selfies.push(await preprocessSelfie(file.buffer));
+      } catch (error) {
+        if (!(error instanceof SelfieRejectedError)) throw error;
+        logger.info('Selfie rejected', { kioskId, code: error.code, details: error.details });
+        return res.status(400).json({
+          error: error.message,
+          code: error.code,
+          details: error.details,
+          image: personFiles.length > 1 ? index : undefined
+        });
+      }
+    }
+    const inputs = selfies.map(selfie => ({ data: selfie.buffer, mimeType: selfie.mimeType }));
+    const describeInput = selfie => ({
+      width: selfie.width, height: selfie.height, bytes: selfie.buffer.length, originalBytes: selfie.originalBytes
+    });
+
+    // Add to processing queue; input describes the upload (a list for separate runner images)
+    const { sessionId, completion } = submitGeneration(
+      inputs,
+      {
+        eventId: event.id,
+        consent: { version: consent.version, givenAt: Date.now() },
+        backgroundId, gender, ...group, prominence, requestedProminence: req.body.prominence, prominenceSource, bib,
+        input: selfies.length > 1 ? selfies.map(describeInput) : describeInput(selfies[0])
+      },
+      req.kiosk
+    );
+    logger.info('Added to queue', {
+      sessionId, kioskId, eventId: event.id, queueSize: generationQueue.size, peopleCount: people.length, prominence, prominenceSource
+    });
+
+    if (email) requestEmailDelivery(sessionId, email);
+
+    if (variations > 1) {
+      submitChildren(
+        store.getSession(sessionId),
+        inputs,
+        { backgroundId, gender, ...group, prominence, requestedProminence: req.body.prominence, prominenceSource, bib },
+        variations - 1,
+        req.kiosk
+      );
+    }
+
+    // Job mode: answer immediately, the kiosk polls /api/jobs/:id or listens on its event stream
+    if ((req.body.mode || req.query.mode) === 'async') {
+      completion.catch(() => {}); // failure is recorded on the session
+      return res.status(202).json({
+        ...serializeJob(sessionId, store.getSession(sessionId)),
+        statusUrl: `/api/jobs/${sessionId}`,
+        eventsUrl: `/api/jobs/${sessionId}/events`
+      });
+    }
+
+    const result = await completion;
+    const session = store.getSession(sessionId);
+
+    res.json({ ...result, emailDelivery: session.emailDelivery, variations: session.children || [] });
+  } catch (error) {
+    logger.error('Generate request error', { kioskId, error });
+    const code = classifyError(error);
+    res.status(500).json({
+      error: 'Failed to generate image',
+      code,
+      message: FAILURE_CLASSES[code].message,
+      details: error.message,
+      kioskId
+    });
+  }
+});
+
+// Jobs are only visible to the kiosk that submitted them and to operators; for anyone
+// else they do not exist
+function findJob(req, res) {
+  const session = store.getSession(req.params.id);
+  if (!session || (req.principal.role === 'kiosk' && session.kioskId !== req.principal.name)) {
+    res.status(404).json({ error: 'Job not found' });
+    return undefined;
+  }
+  return session;
+}
+
+// Job status (poll)
+app.get('/api/jobs/:id', requireRole('kiosk'), (req, res) => {
+  const session = findJob(req, res);
+  if (!session) return;
+
+  res.json(serializeJob(req.params.id, session));
+});
+
+// Job progress as server-sent events: queued -> generating -> compositing -> done/failed
+app.get('/api/jobs/:id/events', requireRole('kiosk'), (req, res) => {
+  const sessionId = req.params.id;
+  const session = findJob(req, res);
+  if (!session) return;
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+  let lastUpdatedAt = null;
+
+  // Updates made outside this process's events (e.g. by the old process during a reload)
+  // are picked up from the store
+  const poll = setInterval(() => {
+    const current = store.getSession(sessionId);
+    if (current && current.updatedAt !== lastUpdatedAt) send(current);
+  }, 1000);
+
+  const close = () => {
+    clearInterval(heartbeat);
+    clearInterval(poll);
+    sessionEvents.off(sessionId, send);
+    res.end();
+  };
+
+  function send(current) {
+    lastUpdatedAt = current.updatedAt;
+    const event = current.status === 'completed' ? 'done' : current.status;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(serializeJob(sessionId, current))}\n\n`);
+    // pending_review stays open until the photo is approved or rejected
+    if (['completed', 'failed', 'rejected'].includes(current.status)) close();
+  }
+
+  sessionEvents.on(sessionId, send);
+  req.on('close', close);
+
+  // Replay the current state so a reconnecting kiosk catches up immediately
+  send(session);
+});
+
+// Kiosk registry administration
+function sendKioskError(res, error) {
+  if (error instanceof KioskValidationError) {
+    return res.status(400).json({ error: 'Invalid kiosk', details: error.errors });
+  }
+  logger.error('Kiosk registry error', { error });
+  res.status(500).json({ error: 'Failed to update kiosk', details: error.message });
+}
+
+app.get('/api/admin/kiosks', requireAdmin, (req, res) => {
+  res.json(kiosks.list().map(describeKiosk));
+});
+
+// Returns the kiosk token once; only its hash is stored
+app.post('/api/admin/kiosks', requireAdmin, (req, res) => {
+  try {
+    const { kiosk, token } = kiosks.register(req.body);
+    res.status(201).json({ ...describeKiosk(kiosk), token });
+  } catch (error) {
+    sendKioskError(res, error);
+  }
+});
+
+app.put('/api/admin/kiosks/:id', requireAdmin, (req, res) => {
+  try {
+    const kiosk = kiosks.update(req.params.id, req.body);
+    if (!kiosk) return res.status(404).json({ error: 'Kiosk not found' });
+    res.json(describeKiosk(kiosk));
+  } catch (error) {
+    sendKioskError(res, error);
+  }
+});
+
+app.post('/api/admin/kiosks/:id/token', requireAdmin, (req, res) => {
+  const issued = kiosks.rotateToken(req.params.id);
+  if (!issued) return res.status(404).json({ error: 'Kiosk not found' });
+  res.json({ ...describeKiosk(issued.kiosk), token: issued.token });
+});
+
+app.post('/api/admin/kiosks/:id/retire', requireAdmin, (req, res) => {
+  const kiosk = kiosks.retire(req.params.id);
+  if (!kiosk) return res.status(404).json({ error: 'Kiosk not found' });
+  res.json(describeKiosk(kiosk));
+});
+
+// Email delivery
+
+function isConsentGiven(value) {
+  return value === true || value === 'true';
+}
+
+// Mirror the latest email delivery onto the session (no address) for the kiosk and monitor
+function syncEmailDelivery(sessionId) {
+  const delivery = store.listSessionDeliveries(sessionId).filter(d => d.channel === 'email').at(-1);
+  if (!delivery) return;
+
+  updateSession(sessionId, {
+    emailDelivery: {
+      status: delivery.status,
+      attempts: delivery.attempts,
+      sentAt: delivery.sentAt,
+      lastError: delivery.lastError
+    }
+  });
+}
+
+function requestEmailDelivery(sessionId, address) {
+  const session = store.getSession(sessionId);
+  const delivery = store.createDelivery({
+    sessionId,
+    channel: 'email',
+    address,
+    status: session.status === 'completed' ? 'pending' : 'waiting'
+  });
+  syncEmailDelivery(sessionId);
+  logger.info('Email delivery requested', { sessionId, kioskId: session.kioskId });
+  return delivery;
+}
+
+function buildPhotoEmail(session, address) {
+  const event = sessionEvent(session);
+  const shareUrl = shareUrlFor(session.shortCode, event);
+  const link = /^https?:/.test(shareUrl)
+    ? `You can also download it until ${new Date(session.expiresAt).toUTCString()}: ${shareUrl}`
+    : '';
+
+  return {
+    from: mailConfig.from,
+    to: address,
+    subject: `Your ${event.name} photo`,
+    text: [`Thanks for visiting the ${event.name} photo booth!`, 'Your photo is attached.', link].filter(Boolean).join('\n\n'),
+    attachments: [{
+      filename: `${event.id}-${session.shortCode}.png`,
+      path: path.join(__dirname, 'outputs', session.outputFile)
+    }]
+  };
+}
+
+async function sendDelivery(delivery) {
+  const session = store.getSession(delivery.sessionId);
+
+  if (!session || !delivery.address || isExpired(session)) {
+    store.markDeliveryFailed(delivery.id, 'Photo expired');
+  } else {
+    try {
+      const { file } = await mailTransport.send(buildPhotoEmail(session, delivery.address));
+      store.markDeliverySent(delivery.id, file);
+      logger.info('Emailed photo', { sessionId: session.id, kioskId: session.kioskId });
+    } catch (error) {
+      if (delivery.attempts >= mailConfig.maxAttempts) {
+        store.markDeliveryFailed(delivery.id, error.message);
+        logger.error('Email delivery failed permanently', { sessionId: session.id, kioskId: session.kioskId, error: error.message });
+      } else {
+        store.markDeliveryRetry(delivery.id, error.message, Date.now() + retryDelay(delivery.attempts));
+        logger.warn('Email delivery attempt failed', {
+          sessionId: session.id, kioskId: session.kioskId, attempt: delivery.attempts, error: error.message
+        });
+      }
+    }
+  }
+
+  syncEmailDelivery(delivery.sessionId);
+}
+
+// Poll the outbox; claiming is atomic so each email is sent once, even while a reload
+// briefly runs the old and the new process side by side
+let mailQueueBusy = false;
+setInterval(async () => {
+  if (mailQueueBusy || !mailTransport) return;
+  mailQueueBusy = true;
+  try {
+    for (const delivery of store.claimDueDeliveries()) {
+      await sendDelivery(delivery);
+    }
+  } catch (error) {
+    logger.error('Mail queue error', { error });
+  } finally {
+    mailQueueBusy = false;
+  }
+}, 5000);
+
+// Guest delivery
+
+// QR code for the guest page: ?format=png (default) or svg
+app.get('/api/sessions/:id/qr', async (req, res) => {
+  const session = store.getSession(req.params.id);
+  if (!session?.shortCode) return res.status(404).json({ error: 'No photo for this session' });
+  if (isExpired(session)) return res.status(410).json({ error: 'Photo has expired' });
+
+  const url = shareUrlFor(session.shortCode, sessionEvent(session), req);
+
+  try {
+    if (req.query.format === 'svg') {
+      res.type('image/svg+xml').send(await QRCode.toString(url, { type: 'svg', margin: 2 }));
+    } else {
+      res.type('image/png').send(await QRCode.toBuffer(url, { type: 'png', width: 512, margin: 2 }));
+    }
+  } catch (error) {
+    logger.error('QR code error', { sessionId: req.params.id, error });
+    res.status(500).json({ error: 'Failed to create QR code' });
+  }
+});
+
+function findGuestSession(req, res) {
+  const session = store.getSessionByShortCode(req.params.code);
+  const event = session ? sessionEvent(session) : requestEvent(req);
+
+  // Generated but not approved yet: the guest scanned the QR code a little early
+  if (session && ['queued', 'generating', 'compositing', 'pending_review'].includes(session.status)) {
+    res.status(202).set('Cache-Control', 'no-store').send(renderMessagePage({
+      eventName: event.name,
+      title: 'Almost ready',
+      message: 'Your photo is being checked by our team. Refresh this page in a minute.'
+    }));
+    return undefined;
+  }
+  if (!session || session.status !== 'completed') {
+    res.status(404).send(renderMessagePage({
+      eventName: event.name,
+      title: 'Photo not found',
+      message: 'Check the link or scan the QR code again.'
+    }));
+    return undefined;
+  }
+  if (isExpired(session)) {
+    res.status(410).send(renderMessagePage({
+      eventName: event.name,
+      title: 'This photo has expired',
+      message: 'Photos are only kept for a limited time after the event.'
+    }));
+    return undefined;
+  }
+  return session;
+}
+
+// Mobile download/share page
+app.get('/p/:code', (req, res) => {
+  const session = findGuestSession(req, res);
+  if (!session) return;
+
+  res.set('Cache-Control', 'no-store').send(renderPhotoPage({
+    eventName: sessionEvent(session).name,
+    imageUrl: `/p/${session.shortCode}/photo`,
+    downloadUrl: `/p/${session.shortCode}/photo?download=1`,
+    expiresAt: session.expiresAt
+  }));
+});
+
+app.get('/p/:code/photo', (req, res) => {
+  const session = findGuestSession(req, res);
+  if (!session) return;
+  const event = sessionEvent(session);
+
+  // ?rendition=story etc. picks one of the photo's renditions instead of the full-size PNG
+  const { rendition } = req.query;
+  const file = rendition === undefined ? session.outputFile
+    : typeof rendition === 'string' && Object.hasOwn(session.renditions || {}, rendition) ? session.renditions[rendition]
+    : undefined;
+  if (!file) {
+    return res.status(404).send(renderMessagePage({
+      eventName: event.name,
+      title: 'Photo not found',
+      message: 'This version of the photo is not available.'
+    }));
+  }
+
+  const filePath = path.join(__dirname, 'outputs', file);
+  if (req.query.download) {
+    res.download(filePath, `${event.id}-${session.shortCode}${path.extname(file)}`);
+  } else {
+    res.sendFile(filePath);
+  }
+});
+
+// Email the photo to the guest, now or as soon as it is generated
+app.post('/api/sessions/:id/deliver', authenticateKiosk, (req, res) => {
+  const session = store.getSession(req.params.id);
+  if (!session || session.kioskId !== req.kiosk.id) return res.status(404).json({ error: 'Session not found' });
+  if (session.status === 'failed') return res.status(409).json({ error: 'Generation failed, nothing to deliver' });
+  if (isExpired(session)) return res.status(410).json({ error: 'Photo has expired' });
+
+  const { email, consent } = req.body;
+  if (!mailTransport) return res.status(503).json({ error: 'Email delivery is not configured' });
+  if (!isValidEmail(email)) return res.status(400).json({ error: 'Invalid email address' });
+  if (!isConsentGiven(consent)) return res.status(400).json({ error: 'Email delivery requires consent (consent=true)' });
+
+  const delivery = requestEmailDelivery(session.id, email);
+  res.status(202).json({ sessionId: session.id, deliveryId: delivery.id, status: delivery.status });
+});
+
+// Prints
+
+// Midnight today in the event's time zone (daily print counts)
+function startOfToday(event) {
+  const now = new Date();
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-CA', {
+    timeZone: eventTimeZone(event), hour: '2-digit', minute: '2-digit', second: '2-digit', hourCycle: 'h23'
+  }).formatToParts(now).map(part => [part.type, Number(part.value)]));
+  return now.getTime() - (((parts.hour * 60 + parts.minute) * 60 + parts.second) * 1000 + now.getMilliseconds());
+}
+
+async function printJob(job) {
+  const session = store.getSession(job.sessionId);
+  const driver = printers.driver(job.printerId);
+
+  try {
+    if (!driver) throw Object.assign(new Error(`Printer "${job.printerId}" is no longer configured`), { final: true });
+    if (!session || isExpired(session) || !outputFiles(session).includes(job.file)) {
+      throw Object.assign(new Error('Photo expired'), { final: true });
+    }
+
+    const { reference } = await driver.print(job, path.join(__dirname, 'outputs', job.file));
+    store.markPrintJobPrinted(job.id, reference);
+    store.setPrinterError(job.printerId, null);
+    logger.info('Printed photo', { sessionId: job.sessionId, kioskId: job.kioskId, printJobId: job.id, printer: job.printerId, copies: job.copies });
+  } catch (error) {
+    // A jam or an unreachable printer shows on the printer until its next successful print
+    if (error instanceof PrintError) store.setPrinterError(job.printerId, `${error.code}: ${error.message}`);
+
+    if (error.final || job.attempts >= printConfig.maxAttempts) {
+      store.markPrintJobFailed(job.id, error.message);
+      logger.error('Print job failed permanently', { sessionId: job.sessionId, kioskId: job.kioskId, printJobId: job.id, error: error.message });
+    } else {
+      store.markPrintJobRetry(job.id, error.message, Date.now() + printRetryDelay(job.attempts));
+      logger.warn('Print attempt failed', {
+        sessionId: job.sessionId, kioskId: job.kioskId, printJobId: job.id, attempt: job.attempts, error: error.message
+      });
+    }
+  }
+}
+
+// Poll the print queue; claiming is atomic (see the outbox) and takes one job per printer
+let printQueueBusy = false;
+setInterval(async () => {
+  if (printQueueBusy) return;
+  printQueueBusy = true;
+  try {
+    await Promise.all(store.claimDuePrintJobs().map(printJob));
+  } catch (error) {
+    logger.error('Print queue error', { error });
+  } finally {
+    printQueueBusy = false;
+  }
+}, 2000);
+
+function describePrinter(printer, counts = {}) {
+  const state = store.getPrinterState(printer.id);
+  const byStatus = counts.byStatus || {};
+  return {
+    id: printer.id,
+    name: printer.name,
+    driver: printer.driver,
+    default: Boolean(printer.default),
+    paperSizes: Object.keys(printer.paperSizes),
+    status: state.paused ? 'paused' : byStatus.printing ? 'printing' : state.lastError ? 'error' : 'idle',
+    lastError: state.lastError,
+    lastErrorAt: state.lastErrorAt,
+    queued: byStatus.queued || 0,
+    held: byStatus.held || 0,
+    today: {
+      printed: counts.printed || { jobs: 0, copies: 0 },
+      failed: byStatus.failed || 0,
+      cancelled: byStatus.cancelled || 0
+    }
+  };
+}
+
+// Print a finished photo on the kiosk's printer (or the one given as "printer"):
+// { printer?, copies = 1, paperSize? }
+app.post('/api/sessions/:id/print', authenticateKiosk, (req, res) => {
+  const session = store.getSession(req.params.id);
+  if (!session || session.kioskId !== req.kiosk.id) return res.status(404).json({ error: 'Session not found' });
+  if (session.status !== 'completed') return res.status(409).json({ error: `Session is ${session.status}, nothing to print` });
+  if (isExpired(session)) return res.status(410).json({ error: 'Photo has expired' });
+
+  if (req.body.printer !== undefined && !printers.get(req.body.printer)) {
+    return res.status(400).json({ error: 'Unknown printer', printers: printers.list().map(candidate => candidate.id) });
+  }
+  const printer = printers.route(req.kiosk, req.body.printer);
+  if (!printer) return res.status(400).json({ error: 'No printer available for this kiosk' });
+
+  const copies = req.body.copies === undefined ? 1 : Number(req.body.copies);
+  const maxCopies = printer.maxCopies ?? 5;
+  if (!Number.isInteger(copies) || copies < 1 || copies > maxCopies) {
+    return res.status(400).json({ error: `copies must be between 1 and ${maxCopies}` });
+  }
+
+  const paperSize = req.body.paperSize || Object.keys(printer.paperSizes)[0];
+  const paper = typeof paperSize === 'string' && Object.hasOwn(printer.paperSizes, paperSize)
+    ? printer.paperSizes[paperSize]
+    : undefined;
+  if (!paper) {
+    return res.status(400).json({ error: 'Paper size not available on this printer', paperSizes: Object.keys(printer.paperSizes) });
+  }
+
+  const file = session.renditions?.[paper.rendition];
+  if (!file) return res.status(409).json({ error: `No ${paper.rendition} rendition for this photo` });
+
+  const job = store.createPrintJob({
+    sessionId: session.id, kioskId: req.kiosk.id, printerId: printer.id, file, paperSize, media: paper.media, copies
+  });
+  logger.info('Print requested', { sessionId: session.id, kioskId: req.kiosk.id, printer: printer.id, copies, paperSize });
+  res.status(202).json(job);
+});
+
+// Print staff: printer status with today's counts, the job list, and job/printer controls
+// ?event= picks whose day "today" is (the default event's otherwise)
+app.get('/api/admin/printers', requireOperator, (req, res) => {
+  const event = findAdminEvent(req, res);
+  if (!event) return;
+  const counts = store.countPrintJobs(startOfToday(event));
+  res.json(printers.list().map(printer => describePrinter(printer, counts[printer.id])));
+});
+
+for (const action of ['pause', 'resume']) {
+  app.post(`/api/admin/printers/:id/${action}`, requireOperator, (req, res) => {
+    const printer = printers.get(req.params.id);
+    if (!printer) return res.status(404).json({ error: 'Printer not found' });
+    const event = findAdminEvent(req, res);
+    if (!event) return;
+
+    store.setPrinterPaused(printer.id, action === 'pause');
+    // Resuming after clearing a jam: the printer starts with a clean slate
+    if (action === 'resume') store.setPrinterError(printer.id, null);
+    logger.info(`Printer ${action === 'pause' ? 'paused' : 'resumed'}`, { printer: printer.id });
+    res.json(describePrinter(printer, store.countPrintJobs(startOfToday(event))[printer.id]));
+  });
+}
+
+app.get('/api/admin/prints', requireOperator, (req, res) => {
+  const { status, printer, sessionId } = req.query;
+  if (status && !PRINT_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status must be one of: ${PRINT_STATUSES.join(', ')}` });
+  }
+  res.json(store.listPrintJobs({ status, printerId: printer, sessionId, limit: 200 }));
+});
+
+// pause: queued -> held; resume: held or failed -> queued; cancel: queued or held -> cancelled
+const PRINT_JOB_ACTIONS = {
+  pause: [['queued', 'held']],
+  resume: [['held', 'queued'], ['failed', 'queued']],
+  cancel: [['queued', 'cancelled'], ['held', 'cancelled']]
+};
+
+for (const [action, moves] of Object.entries(PRINT_JOB_ACTIONS)) {
+  app.post(`/api/admin/prints/:id/${action}`, requireOperator, (req, res) => {
+    const job = store.getPrintJob(req.params.id);
+    if (!job) return res.status(404).json({ error: 'Print job not found' });
+
+    const move = moves.find(([from]) => from === job.status);
+    const updated = move && store.movePrintJob(job.id, ...move);
+    if (!updated) return res.status(409).json({ error: `Cannot ${action} a ${job.status} print job` });
+
+    logger.info(`Print job ${action}`, { sessionId: job.sessionId, printJobId: job.id });
+    res.json(updated);
+  });
+}
+
+// Moderation queue: with moderation on (event.moderation or the kiosk's settings) finished
+// photos wait in pending_review until an operator approves, rejects or regenerates them
+function describeForReview(session) {
+  return {
+    sessionId: session.id,
+    kioskId: session.kioskId,
+    backgroundId: session.backgroundId,
+    gender: session.gender,
+    peopleCount: session.people?.length || 1,
+    prominence: session.prominence,
+    status: session.status,
+    finishedAt: session.endTime ? new Date(session.endTime) : null,
+    regenerations: session.regenerations || 0,
+    rejectionReason: session.rejectionReason,
+    imageUrl: session.outputFile ? `/api/admin/moderation/${session.id}/image` : undefined
+  };
+}
+
+function findReviewSession(req, res) {
+  const session = store.getSession(req.params.id);
+  if (!session) {
+    res.status(404).json({ error: 'Session not found' });
+    return undefined;
+  }
+  if (session.status !== 'pending_review') {
+    res.status(409).json({ error: `Session is ${session.status}, not pending review` });
+    return undefined;
+  }
+  return session;
+}
+
+
+app.get('/api/admin/moderation', requireOperator, (req, res) => {
+  const status = req.query.status || 'pending_review';
+  if (!['pending_review', 'rejected'].includes(status)) {
+    return res.status(400).json({ error: 'status must be pending_review or rejected' });
+  }
+  res.json(store.listSessionsByStatus(status).map(describeForReview));
+});
+
+app.get('/api/admin/moderation/:id/image', requireOperator, (req, res) => {
+  const session = store.getSession(req.params.id);
+  if (!session?.outputFile || session.purgedAt) return res.status(404).json({ error: 'Photo not found' });
+
+  res.set('Cache-Control', 'no-store').sendFile(path.join(__dirname, 'outputs', session.outputFile));
+});
+
+app.post('/api/admin/moderation/:id/approve', requireOperator, async (req, res) => {
+  const session = findReviewSession(req, res);
+  if (!session) return;
+
+  updateSession(session.id, { status: 'completed', reviewedAt: Date.now() });
+  store.releaseDeliveries(session.id);
+  syncEmailDelivery(session.id);
+
+  logger.info('Session approved', { sessionId: session.id, kioskId: session.kioskId });
+  res.json(serializeJob(session.id, store.getSession(session.id)));
+});
+
+app.post('/api/admin/moderation/:id/reject', requireOperator, async (req, res) => {
+  const session = findReviewSession(req, res);
+  if (!session) return;
+
+  const reason = typeof req.body.reason === 'string' ? req.body.reason.trim().slice(0, 500) : '';
+  if (!reason) return res.status(400).json({ error: 'A reason is required' });
+
+  await removeOutputs(session);
+  updateSession(session.id, {
+    status: 'rejected', outputFile: null, renditions: null, rejectionReason: reason, reviewedAt: Date.now()
+  });
+  store.failOpenDeliveries(session.id, 'Photo rejected');
+  syncEmailDelivery(session.id);
+
+  logger.info('Session rejected', { sessionId: session.id, kioskId: session.kioskId, reason });
+  res.json(serializeJob(session.id, store.getSession(session.id)));
+});
+
+// Generate again from the kept selfie and the session's original settings
+app.post('/api/admin/moderation/:id/regenerate', requireOperator, async (req, res) => {
+  const session = findReviewSession(req, res);
+  if (!session) return;
+
+  const inputs = await readSessionInputs(session);
+  if (!inputs) return res.status(410).json({ error: 'The original selfie is no longer available' });
+
+  // Goes through the same admission policy as any other job from the kiosk
+  const kiosk = kiosks.get(session.kioskId) || { id: session.kioskId, role: 'kiosk', settings: {} };
+  if (!admitJobs(res, kiosk)) return;
+
+  try {
+    await removeOutputs(session);
+
+    const experiment = session.experiment && experiments.get(session.experiment.id)?.variants
+      .find(variant => variant.id === session.experiment.variant);
+    // The previous run's timing and attempts no longer apply
+    updateSession(session.id, {
+      status: 'queued',
+      outputFile: null,
+      renditions: null,
+      endTime: null,
+      attempts: null,
+      regenerations: (session.regenerations || 0) + 1
+    });
+
+    // Every generation counts towards the kiosk's total, so completed never exceeds it
+    store.recordKioskEvent(sessionEvent(session).id, session.kioskId, 'total');
+
+    const completion = enqueueGeneration(session.id, inputs, {
+      backgroundId: session.backgroundId,
+      gender: session.gender,
+      people: session.people,
+      groupInput: session.groupInput,
+      prominence: session.prominence,
+      pose: session.pose,
+      bib: session.bib,
+      experiment
+    }, kiosk);
+    completion.catch(() => {}); // failure is recorded on the session
+
+    logger.info('Session sent back for regeneration', { sessionId: session.id, kioskId: session.kioskId });
+    res.status(202).json(serializeJob(session.id, store.getSession(session.id)));
+  } catch (error) {
+    logger.error('Regenerate error', { sessionId: req.params.id, error });
+    res.status(500).json({ error: 'Failed to regenerate', details: error.message });
+  }
+});
+
+// Guest didn't like the result: generate again from the kept selfie, optionally with another
+// backgroundId, prominence or pose, or as several variations to pick from. Limited by the
+// root session's regeneration allowance.
+app.post('/api/sessions/:id/regenerate', authenticateKiosk, kioskLimiter, async (req, res) => {
+  const session = store.getSession(req.params.id);
+  if (!session || session.kioskId !== req.kiosk.id) return res.status(404).json({ error: 'Session not found' });
+  if (['queued', 'generating', 'compositing'].includes(session.status)) {
+    return res.status(409).json({ error: 'Session is still being generated' });
+  }
+  const root = session.parentSessionId ? store.getSession(session.parentSessionId) : session;
+  const event = sessionEvent(root);
+
+  const backgroundId = req.body.backgroundId || session.backgroundId;
+  const backgroundInfo = catalogFor(event).getBackground(backgroundId);
+  if (!backgroundInfo) return res.status(400).json({ error: 'Invalid background selection' });
+
+  const { allowedCategories } = req.kiosk.settings;
+  if (allowedCategories && !allowedCategories.includes(backgroundInfo.category)) {
+    return res.status(403).json({ error: 'Background not available on this kiosk' });
+  }
+
+  const pose = req.body.pose ?? session.pose;
+  if (pose !== undefined && !['running', 'walking'].includes(pose)) {
+    return res.status(400).json({ error: 'pose must be running or walking' });
+  }
+
+  const variations = parseVariations(req.body.variations, event);
+  if (!variations) return res.status(400).json({ error: 'Invalid number of variations' });
+
+  const remaining = regenerationsLeft(root);
+  if (variations > remaining) {
+    return res.status(409).json({ error: 'Regeneration allowance used up', regenerationsLeft: remaining });
+  }
+
+  if (!admitJobs(res, req.kiosk, variations)) return;
+
+  try {
+    const inputs = await readSessionInputs(root);
+    if (!inputs) return res.status(410).json({ error: 'The original selfie is no longer available' });
+
+    const requestedProminence = req.body.prominence ?? session.requestedProminence;
+    const { prominence, source: prominenceSource } = resolveProminence(requestedProminence, backgroundInfo);
+    // Same runner details; the new background decides how the bib is used
+    const bib = session.bib && {
+      ...session.bib,
+      mode: event.bib ? resolveBibMode(backgroundInfo, event.bib) : 'off'
+    };
+
+    const childIds = submitChildren(root, inputs, {
+      backgroundId, gender: root.gender, people: root.people, groupInput: root.groupInput,
+      prominence, requestedProminence, prominenceSource, pose, bib
+    }, variations, req.kiosk);
+
+    logger.info('Regenerating session', { sessionId: root.id, kioskId: req.kiosk.id, variations });
+
+    res.status(202).json({
+      parentSessionId: root.id,
+      regenerationsLeft: remaining - variations,
+      jobs: childIds.map(id => ({
+        ...serializeJob(id, store.getSession(id)),
+        statusUrl: `/api/jobs/${id}`,
+        eventsUrl: `/api/jobs/${id}/events`
+      }))
+    });
+  } catch (error) {
+    logger.error('Regenerate error', { sessionId: req.params.id, kioskId: req.kiosk.id, error });
+    res.status(500).json({ error: 'Failed to regenerate', details: error.message });
+  }
+});
+
+// Right to erasure: delete a guest's photo with its renditions and variations, the kept
+// selfie, spooled prints and emailed copies, the delivery and print records, and the
+// sessions themselves. Kiosks can erase
+// their own sessions, operators any. Only the retention log entry remains.
+app.delete('/api/sessions/:id', requireRole('kiosk'), async (req, res) => {
+  const session = store.getSession(req.params.id);
+  if (!session || (req.principal.role === 'kiosk' && session.kioskId !== req.principal.name)) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
+  const root = (session.parentSessionId && store.getSession(session.parentSessionId)) || session;
+  const family = [root, ...(root.children || []).map(id => store.getSession(id)).filter(Boolean)];
+  if (family.some(member => ['queued', 'generating', 'compositing'].includes(member.status))) {
+    return res.status(409).json({ error: 'Session is still being generated, erase it once it has finished' });
+  }
+
+  try {
+    const actor = `${req.principal.type}:${req.principal.name}`;
+    for (const member of family) {
+      await removeOutputs(member);
+      const inputs = await discardInput(member);
+      const copies = await discardCopies(member);
+      store.logRetention({
+        reason: 'erased', actor, sessionId: member.id, eventId: member.eventId,
+        files: [...outputFiles(member), ...inputs, ...copies]
+      });
+    }
+    store.eraseSessions(family.map(member => member.id));
+
+    logger.info('Session erased', { sessionId: root.id, kioskId: root.kioskId, sessions: family.length, actor });
+    res.json({ erased: family.map(member => member.id) });
+  } catch (error) {
+    logger.error('Erasure error', { sessionId: root.id, error });
+    res.status(500).json({ error: 'Failed to erase session' });
+  }
+});
+
+// Staff rating of a generated photo (1-5, optional comment); feeds experiment reports
+app.post('/api/sessions/:id/feedback', authenticateKiosk, (req, res) => {
+  const session = store.getSession(req.params.id);
+  if (!session || session.kioskId !== req.kiosk.id) return res.status(404).json({ error: 'Session not found' });
+  if (session.status !== 'completed') return res.status(409).json({ error: 'Only completed photos can be rated' });
+
+  const rating = Number(req.body.rating);
+  const { comment } = req.body;
+  if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+    return res.status(400).json({ error: 'rating must be an integer from 1 to 5' });
+  }
+  if (comment !== undefined && (typeof comment !== 'string' || comment.length > 500)) {
+    return res.status(400).json({ error: 'comment must be a string of at most 500 characters' });
+  }
+
+  const feedback = { rating, comment: comment?.trim() || undefined, at: Date.now() };
+  updateSession(session.id, { feedback });
+  res.json({ sessionId: session.id, feedback });
+});
+
+// Experiments and their per-variant results
+app.get('/api/admin/experiments', requireAdmin, (req, res) => {
+  res.json(experiments.list());
+});
+
+app.get('/api/admin/experiments/:id/report', requireAdmin, (req, res) => {
+  const experiment = experiments.get(req.params.id);
+  if (!experiment) return res.status(404).json({ error: 'Experiment not found' });
+
+  res.json(experimentReport(experiment, store.listExperimentSessions(experiment.id)));
+});
+
+// Event reports over stored sessions (GET /api/admin/reports?groupBy=hour,kiosk&from=&to=&event=&format=csv)
+app.get('/api/admin/reports', requireOperator, (req, res) => {
+  const query = parseReportQuery(req.query, { eventId: events.defaultEvent().id });
+  if (query.error) return res.status(400).json({ error: query.error });
+
+  // All events together are bucketed in the default event's time zone
+  const event = events.get(query.eventId) || events.defaultEvent();
+  const timeZone = eventTimeZone(event);
+  const sessions = store.listSessionsBetween({ from: query.from, to: query.to, eventId: query.eventId });
+  const report = sessionReport(sessions, query.groupBy, {
+    timeZone,
+    // From the session's own event's catalog, also when reporting on all events
+    categoryOf: session => catalogFor(sessionEvent(session)).getBackground(session.backgroundId)?.category
+  });
+
+  if (query.format === 'csv') {
+    const name = [query.eventId || 'all-events', ...query.groupBy].join('-');
+    return res
+      .type('text/csv')
+      .attachment(`report-${name}.csv`)
+      .send(reportCsv(report, query.groupBy));
+  }
+  res.json({
+    event: query.eventId,
+    from: query.from ? new Date(query.from) : null,
+    to: query.to ? new Date(query.to) : null,
+    timeZone,
+    groupBy: query.groupBy,
+    ...report
+  });
+});
+
+// What personal data was deleted, when, why and by whom (newest first)
+// ?from=&to= (ISO dates), ?sessionId=, ?limit= (default 500, at most 5000)
+app.get('/api/admin/retention-log', requireAdmin, (req, res) => {
+  const from = req.query.from ? Date.parse(req.query.from) : undefined;
+  const to = req.query.to ? Date.parse(req.query.to) : undefined;
+  if (Number.isNaN(from) || Number.isNaN(to)) return res.status(400).json({ error: 'from and to must be dates or ISO timestamps' });
+  const limit = req.query.limit === undefined ? 500 : Number(req.query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > 5000) return res.status(400).json({ error: 'limit must be between 1 and 5000' });
+
+  res.json(store.listRetentionLog({ from, to, sessionId: req.query.sessionId || null, limit }));
+});
+
+// Events that have sessions, for picking a report
+app.get('/api/admin/reports/events', requireOperator, (req, res) => {
+  res.json(store.listSessionEvents());
+});
+
+// Configured events and what they are assigned to
+app.get('/api/admin/events', requireAdmin, (req, res) => {
+  res.json(events.list().map(event => ({
+    id: event.id,
+    name: event.name,
+    city: event.city,
+    dates: event.dates,
+    default: event === events.defaultEvent(),
+    hostnames: event.hostnames || [],
+    kiosks: event.kiosks || [],
+    catalog: event.catalog,
+    template: event.branding.template
+  })));
+});
+
+// Monitoring endpoint for operators (?event= for another event than the caller's)
+app.get('/api/monitor', requireOperator, (req, res) => {
+  const event = req.query.event ? events.get(req.query.event) : requestEvent(req);
+  if (!event) return res.status(404).json({ error: 'Event not found' });
+
+  const recentSessions = store.listRecentSessions(20, event.id)
+    .reverse()
+    .map(({ id, ...session }) => ({
+      id: id.slice(0, 8),
+      ...session,
+      thumbnailUrl: session.status === 'completed' && session.renditions?.thumbnail
+        ? `/outputs/${session.renditions.thumbnail}`
+        : undefined,
+      duration: session.endTime ? session.endTime - session.startTime : null
+    }));
+
+  res.json({
+    event: event.id,
+    kiosks: store.getKioskStats(event.id),
+    deliveries: store.countDeliveries(),
+    queueSize: generationQueue.size,
+    queuePending: generationQueue.running,
+    scheduler: generationQueue.stats(),
+    totalSessions: store.countSessionsSince(Date.now() - (60 * 60 * 1000), event.id),
+    recentSessions,
+    serverUptime: process.uptime(),
+    memoryUsage: process.memoryUsage(),
+    timestamp: new Date()
+  });
+});
+
+// Kiosk status endpoint (a kiosk can only see its own)
+app.get('/api/kiosk/:kioskId/status', requireRole('kiosk'), (req, res) => {
+  const { kioskId } = req.params;
+  if (req.principal.role === 'kiosk' && req.principal.name !== kioskId) {
+    return res.status(403).json({ error: 'Kiosks can only see their own status' });
+  }
+  const kiosk = kiosks.get(kioskId);
+  if (!kiosk) return res.status(404).json({ error: 'Invalid kiosk ID' });
+
+  // A kiosk that has not taken a photo at its event yet has no stats row
+  const event = events.resolve({ kioskId });
+  const stats = store.getKioskStats(event.id, kioskId) || { total: 0, completed: 0, failed: 0, lastActive: null };
+
+  res.json({
+    kioskId,
+    event: event.id,
+    name: kiosk.name,
+    retired: Boolean(kiosk.retiredAt),
+    ...stats,
+    // This kiosk's own jobs: how many wait, where its next one is and how long until it starts
+    ...generationQueue.kioskStatus(kioskId),
+    serverStatus: 'online'
+  });
+});
+
+// Prometheus scrape endpoint (operator or admin token, e.g. a static token in config/auth.json)
+app.get('/metrics', requireOperator, async (req, res) => {
+  try {
+    res.type(METRICS_CONTENT_TYPE).send(await metrics.render());
+  } catch (error) {
+    logger.error('Metrics error', { error });
+    res.status(500).json({ error: 'Failed to collect metrics' });
+  }
+});
+
+// Health check
+app.get('/api/health', (req, res) => {
+  const kioskId = req.headers['x-kiosk-id'] || req.query.kiosk;
+  const event = events.resolve({ kioskId, hostname: req.hostname });
+
+  res.json({
+    status: 'ok',
+    service: `${event.name} Photobooth`,
+    event: event.id,
+    provider: provider.name,
+    kioskId,
+    timestamp: new Date(),
+    queueStatus: {
+      size: generationQueue.size,
+      pending: generationQueue.running
+    }
+  });
+});
+
+// Scheduled jobs claim their slot in the store, so a slot that comes up while a reload
+// overlaps two processes still runs once
+
+// Every 30 minutes, fail sessions that never finished (e.g. the server restarted)
+const SESSION_CLEANUP_INTERVAL = 30 * 60 * 1000;
+setInterval(() => {
+  if (!store.claimRun('session-cleanup', Math.floor(Date.now() / SESSION_CLEANUP_INTERVAL))) return;
+
+  const log = logger.child({ job: 'session-cleanup' });
+  const oneHourAgo = Date.now() - (60 * 60 * 1000);
+  let cleaned = 0;
+
+  for (const session of store.listStaleSessions(oneHourAgo)) {
+    updateSession(session.id, { status: 'failed', error: 'Abandoned', errorCode: 'internal', endTime: Date.now() });
+    log.warn('Session abandoned', { sessionId: session.id, kioskId: session.kioskId });
+    cleaned++;
+  }
+
+  store.pruneRuns(Date.now() - (24 * 60 * 60 * 1000));
+
+  if (cleaned > 0) log.info('Failed abandoned sessions', { count: cleaned });
+}, SESSION_CLEANUP_INTERVAL);
+
+// Every 5 minutes, delete kept selfies whose regenerate window has passed
+const INPUT_CLEANUP_INTERVAL = 5 * 60 * 1000;
+setInterval(async () => {
+  if (!store.claimRun('input-cleanup', Math.floor(Date.now() / INPUT_CLEANUP_INTERVAL))) return;
+
+  const log = logger.child({ job: 'input-cleanup' });
+  try {
+    for (const session of store.listExpiredInputs()) {
+      const files = await discardInput(session);
+      store.logRetention({ reason: 'input-expired', actor: 'job:input-cleanup', sessionId: session.id, eventId: session.eventId, files });
+      log.info('Deleted kept selfies', { sessionId: session.id, files });
+    }
+  } catch (error) {
+    log.error('Input cleanup error', { error });
+  }
+}, INPUT_CLEANUP_INTERVAL);
+
+// Files in outputs/ relative to it: the event directories' files and any at the top level
+async function listOutputFiles(outputDir) {
+  const files = [];
+  for (const entry of await fs.readdir(outputDir, { withFileTypes: true })) {
+    if (entry.isFile()) {
+      files.push(entry.name);
+    } else if (entry.isDirectory()) {
+      for (const name of await fs.readdir(path.join(outputDir, entry.name))) files.push(`${entry.name}/${name}`);
+    }
+  }
+  return files;
+}
+
+// Clean up expired photos every hour. Retention comes from each event's config; files that
+// no session points to are removed once they are older than the longest of them. A photo and
+// its renditions (same stem) are always removed together. Every deletion goes into the
+// retention log (GET /api/admin/retention-log).
+schedule.scheduleJob('0 * * * *', async (fireDate) => {
+  if (!store.claimRun('output-cleanup', fireDate.toISOString().slice(0, 13))) return;
+
+  const log = logger.child({ job: 'output-cleanup' });
+  try {
+    const outputDir = path.join(__dirname, 'outputs');
+
+    for (const session of store.listExpiredSessions()) {
+      if (session.outputFile) {
+        await removeOutputs(session);
+        log.info('Deleted expired files', { sessionId: session.id, files: outputFiles(session) });
+      }
+      const inputs = await discardInput(session);
+      const copies = await discardCopies(session);
+      store.failOpenDeliveries(session.id, 'Photo expired');
+      store.purgeDeliveries(session.id);
+      syncEmailDelivery(session.id);
+      // The runner's name and number on the bib identify them too; only the bib mode stays
+      updateSession(session.id, { purgedAt: Date.now(), bib: session.bib && { mode: session.bib.mode } });
+      store.logRetention({
+        reason: 'expired', actor: 'job:output-cleanup', sessionId: session.id, eventId: session.eventId,
+        files: [...outputFiles(session), ...inputs, ...copies]
+      });
+    }
+
+    const groups = new Map();
+    for (const file of await listOutputFiles(outputDir)) {
+      groups.set(outputStem(file), [...(groups.get(outputStem(file)) || []), file]);
+    }
     const now = Date.now();
-    const maxAge = 4 * 60 * 60 * 1000; // 4 hours
-
-    for (const file of files) {
-      const filePath = path.join(outputDir, file);
-      const stats = await fs.stat(filePath);
-      if (now - stats.mtimeMs > maxAge) {
-        await fs.unlink(filePath);
-        console.log(`Deleted old file: ${file}`);
+    const orphanRetentionMs = Math.max(...events.list().map(outputRetentionMs));
+
+    for (const files of groups.values()) {
+      const stats = await Promise.all(files.map(file => fs.stat(path.join(outputDir, file))));
+      if (stats.every(stat => now - stat.mtimeMs > orphanRetentionMs)) {
+        await Promise.all(files.map(file => fs.unlink(path.join(outputDir, file))));
+        store.logRetention({ reason: 'orphaned', actor: 'job:output-cleanup', files });
+        log.info('Deleted old files', { files });
       }
     }
   } catch (error) {
-    console.error('Cleanup error:', error);
+    log.error('Cleanup error', { error });
   }
 });
 
 app.listen(PORT, () => {
-  console.log(`🏃 Marathon Photobooth Backend running on port ${PORT}`);
-  console.log(`📊 Monitor dashboard available at http://localhost:${PORT}/api/monitor`);
+  logger.info('Marathon Photobooth Backend running', { port: Number(PORT), monitor: `http://localhost:${PORT}/api/monitor` });
 });
@@ -6,11 +6,16 @@ const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 // Configuration
+// Runs against a live server; start it with IMAGE_PROVIDER=local to test offline
 const CONFIG = {
   serverUrl: 'http://localhost:3001',
   testImagesDir: path.join(__dirname, 'test-images'),
   outputDir: path.join(__dirname, 'test-outputs'),
-  kioskId: 'test-script',
+  // Register a kiosk with role "test" (POST /api/admin/kiosks) and pass its token here
+  kioskId: process.env.KIOSK_ID || 'test-script',
+  kioskToken: process.env.KIOSK_TOKEN,
+  // One of the event's consentVersions (config/events/)
+  consentVersion: process.env.CONSENT_VERSION || '2025-10-photobooth-v1',
   testsPerBackground: 3,
   requestDelay: 2000,  // 13 seconds = ~4.6 requests per minute (safely under 5/min limit)
   defaultConfigs: [
@@ -111,11 +116,13 @@ async function generateImage(imagePath, backgroundId, config, imageName) {
     formData.append('backgroundId', backgroundId);
     formData.append('gender', config.gender);
     formData.append('prominence', config.prominence);
+    formData.append('consentVersion', CONFIG.consentVersion);
     
     const response = await fetch(`${CONFIG.serverUrl}/api/generate`, {
       method: 'POST',
       headers: {
-        'X-Kiosk-Id': CONFIG.kioskId
+        'X-Kiosk-Id': CONFIG.kioskId,
+        'X-Kiosk-Token': CONFIG.kioskToken
       },
       body: formData
     });
@@ -152,6 +159,11 @@ async function runTests() {
   log('\n🚀 Starting Marathon Photobooth Test Generator', 'bright');
   log('═══════════════════════════════════════════════\n', 'cyan');
   
+  if (!CONFIG.kioskToken) {
+    log('❌ KIOSK_TOKEN is not set. Register a test kiosk and export its token first.', 'red');
+    return;
+  }
+
   await ensureDirectories();
   
   log('📸 Loading test images...', 'blue');